@@ -1,9 +1,32 @@
-// OCPP 1.6 WebSocket Server - v3.0 with Device Disconnect Detection
+// OCPP 1.6 / 2.0.1 WebSocket Server - v3.0 with Device Disconnect Detection
 // Auto-clears ports when device goes offline, shows real connection status
 
 const BRIDGE_URL = Deno.env.get("BRIDGE_URL");
 const BRIDGE_SECRET = Deno.env.get("BRIDGE_SECRET");
 
+// Outgoing events are versioned envelopes { version, id, type, timestamp, station_id, payload }, signed
+// with HMAC-SHA256 over `${x-bridge-timestamp}.${body}` using the subscriber's secret (see /tutorial).
+// BRIDGE_URL/BRIDGE_SECRET form the built-in "bridge" subscription; more consumers use /api/webhooks.
+const EVENT_VERSION = 1;
+const WEBHOOK_EVENT_TYPES = [
+  'station.registered', 'station.updated', 'station.online', 'station.offline', 'connector.faulted',
+  'session.started', 'session.completed', 'meter.values'
+];
+const BRIDGE_EVENT_TYPES = ['station.registered', 'station.updated', 'session.started', 'session.completed', 'meter.values'];
+const webhooks = new Map(); // subscription id -> { id, url, secret, event_types, description, enabled, ... }
+const webhookStats = new Map(); // subscription id -> { delivered, last_success_at, last_failure_at, last_error }
+
+// Webhook outbox: every delivery is persisted first and made in order per subscription and station,
+// retried with exponential backoff, and parked as failed after WEBHOOK_MAX_ATTEMPTS
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_RETRY_BASE_MS = 2000;
+const WEBHOOK_RETRY_MAX_MS = 15 * 60 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = 12; // about 1.5 hours of retries
+const webhookOutbox = new Map(); // outbox id (sortable) -> delivery, in delivery order
+let webhookOutboxSeq = 0;
+const webhookDraining = new Set(); // subscription ids with a delivery pass running
+const webhookDrainAgain = new Set(); // subscription ids that got new work while their pass ran
+
 const CALL = 2;
 const CALLRESULT = 3;
 const CALLERROR = 4;
@@ -11,100 +34,542 @@ const CALLERROR = 4;
 // Store devices, sessions, and complete history
 const connectedDevices = new Map();
 const activeSessions = new Map();
-let completedSessions = []; // Stores all completed sessions for reports - PERSISTENT
 const activityLog = [];
 const portLastPowerCheck = new Map(); // Track when port last had 0W
-const deviceLastHeartbeat = new Map(); // Track last heartbeat per device
+const deviceLastSeen = new Map(); // Last inbound message per connected device; any message counts as liveness
+const connectionHistory = new Map(); // stationId -> [{ event, at, duration_s, detail }], oldest first
+const deviceModels = new Map(); // OCPP 2.0.1 device model: stationId -> Map(variable key -> reported variable)
+const configTemplates = new Map(); // templateId -> { template_id, name, settings: { key: value }, stations: [], apply_on_boot }
+const firmwareFiles = new Map(); // file name -> { name, size, sha256, version, uploaded_at, uploaded_by }
+const firmwareRollouts = new Map(); // rolloutId -> { rollout_id, file, version, retrieve_date, ..., stations: { stationId: target } }
+const diagnosticsRequests = new Map(); // requestId -> { request_id, station_id, token, status, file_name, upload, history }
+const reservations = new Map(); // reservationId -> { reservation_id, station_id, connector_id, id_tag, expiry_date, status, transaction_id, history }
+const pendingRequests = new Map(); // Outbound CALLs keyed by messageId, kept until the charger answers
+let lastRequestId = 0; // Last integer id handed to a reservation, diagnostics request or firmware update
+const eventClients = new Set(); // Open /events streams: { controller, types }
+const sseEncoder = new TextEncoder();
+
+// Everything the /events stream can carry
+const EVENT_TYPES = ['log', 'device', 'session_started', 'session_stopped', 'session_suspended', 'session_resumed', 'meter'];
+
+const COMMAND_TIMEOUT_MS = 30000; // How long /command waits for a CALLRESULT/CALLERROR
+const COMMAND_RETENTION_MS = 10 * 60 * 1000; // Keep finished commands around for GET /command/:messageId
 
+// Liveness. BootNotification hands out HEARTBEAT_INTERVAL unless the station is configured with its own
+// HeartbeatInterval; a station silent for MISSED_HEARTBEATS_OFFLINE intervals (plus grace) is offline.
+// Separately, Deno pings a socket that has been quiet for half of WS_IDLE_TIMEOUT and closes it when no
+// pong arrives in the other half (0 disables pings). A pong only proves the TCP peer is up, not the charger
+// application, so it does not count as liveness.
+const HEARTBEAT_INTERVAL_S = parseInt(Deno.env.get('HEARTBEAT_INTERVAL') || '300');
+const MISSED_HEARTBEATS_OFFLINE = 2;
+const OFFLINE_GRACE_S = 30;
+const WS_IDLE_TIMEOUT_S = parseInt(Deno.env.get('WS_IDLE_TIMEOUT') ?? '60');
+const CONNECTION_HISTORY_LIMIT = 200; // Events kept per station (stored as one document)
+const UP_CONNECTION_EVENTS = ['connected', 'reconnected', 'online'];
+
+// CALLRESULT statuses that mean the charger actually did what we asked
+const ACCEPTED_STATUSES = ['Accepted', 'Unlocked', 'Scheduled', 'RebootRequired'];
+
+// Legacy JSON files - still used by STORAGE_BACKEND=json, imported once into Deno KV otherwise
 const SESSION_FILE = '/tmp/sessions.json';
+const ID_TAGS_FILE = '/tmp/idtags.json';
+const STATE_FILE = '/tmp/state.json';
+const DOCUMENTS_FILE = '/tmp/documents.json'; // Everything except completed sessions, JSON backend only
+const METER_VALUES_DIR = '/tmp/meter_values'; // One append-only JSON-lines file per transaction, JSON backend only
+
+// Firmware images and diagnostics uploads are files on disk; chargers reach them over HTTP
+const FIRMWARE_DIR = Deno.env.get('FIRMWARE_DIR') || '/tmp/firmware';
+const DIAGNOSTICS_DIR = Deno.env.get('DIAGNOSTICS_DIR') || '/tmp/diagnostics';
+const PUBLIC_URL = Deno.env.get('PUBLIC_URL'); // Base URL chargers use to reach us, taken from the request otherwise
+const MAX_UPLOAD_BYTES = 200 * 1024 * 1024;
+const DIAGNOSTICS_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000; // Upload links stop working a day after the request
+
+const STORAGE_BACKEND = Deno.env.get('STORAGE_BACKEND') || 'kv'; // 'kv' (Deno KV) or 'json'
+const KV_PATH = Deno.env.get('KV_PATH'); // Optional KV database file, Deno's default location otherwise
+// Meter points of sessions that started longer ago than this are deleted (0 keeps them forever).
+// The sessions themselves and their totals are kept.
+const METER_RETENTION_DAYS = parseInt(Deno.env.get('METER_RETENTION_DAYS') ?? '90');
+// Sessions of a station that disconnects, goes offline or is gone when the server restarts are suspended,
+// not completed: chargers keep charging and continue the transaction (with buffered MeterValues) when
+// they are back. After this long without hearing about it again a suspended session is completed.
+const SESSION_RESUME_GRACE_MS = parseInt(Deno.env.get('SESSION_RESUME_GRACE') || '600') * 1000;
+const SUSPEND_STOP_REASONS = { Disconnected: 'Disconnected', StationOffline: 'StationOffline', ServerRestart: 'NotReconnected' };
+
+// Unknown idTags are rejected as Invalid unless explicitly allowed (old behaviour: accept everything)
+const ALLOW_UNKNOWN_ID_TAGS = Deno.env.get('ALLOW_UNKNOWN_ID_TAGS') === 'true';
+const ID_TAG_STATUSES = ['Accepted', 'Blocked', 'Expired', 'Invalid'];
+const MAX_ID_TAG_GROUP_DEPTH = 8; // parent_id_tag levels followed when resolving a tag's status
+
+// idTag whitelist - idTag -> { id_tag, status, expiry_date, parent_id_tag, list_version, deleted }
+// Deleted tags are kept as tombstones so differential SendLocalList updates can remove them from chargers.
+const idTags = new Map();
+let localListVersion = 0; // Bumped on every registry change, sent as listVersion in SendLocalList
+
+// Charger registry. Stations authenticate the WebSocket upgrade with HTTP Basic (username = station id,
+// password = AuthorizationKey), OCPP 1.6 Security Profile 1 (ws://) or 2 (wss:// only).
+// Unregistered stations are refused unless explicitly allowed (old behaviour: accept any path).
+const ALLOW_UNREGISTERED_STATIONS = Deno.env.get('ALLOW_UNREGISTERED_STATIONS') === 'true';
+const SECURITY_PROFILES = [1, 2];
+const stationRegistry = new Map(); // stationId -> { station_id, security_profile, salt, password_hash, previous_*, revoked, ... }
+// Checking a password (station or user) costs a PBKDF2 run. The credentials last accepted are remembered
+// (as a SHA-256 digest) so repeat requests skip it, and a station id or username that keeps failing is
+// refused unchecked for the rest of the window.
+const AUTH_MAX_FAILURES = 5;
+const AUTH_WINDOW_MS = 60 * 1000;
+const stationAuthCache = new Map(); // stationId -> { digest, password_hash } of the last accepted Authorization header
+const stationAuthFailures = new Map(); // stationId -> { count, since }
+
+// Dashboard/API identities. Users log in to the HTML pages (or use HTTP Basic on the API),
+// integrations use API keys. Roles are ordered: viewer < operator < admin.
+const ROLES = ['viewer', 'operator', 'admin'];
+const ADMIN_USERNAME = Deno.env.get('ADMIN_USERNAME') || 'admin';
+const ADMIN_PASSWORD = Deno.env.get('ADMIN_PASSWORD');
+const WEB_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const users = new Map(); // username -> { username, role, salt, password_hash, created_at }
+const apiKeys = new Map(); // keyId -> { id, name, role, key_hash, created_at, last_used_at }
+const webSessions = new Map(); // cookie token -> { username, role, expires }
+const userAuthCache = new Map(); // username -> { digest, password_hash } of the last accepted password
+const userAuthFailures = new Map(); // username -> { count, since }
+
+// OCPP actions an operator may send through /command; anything else needs admin
+const OPERATOR_ACTIONS = [
+  'RemoteStartTransaction', 'RemoteStopTransaction', 'UnlockConnector', 'ChangeAvailability', 'Reset',
+  'TriggerMessage', 'GetConfiguration', 'GetLocalListVersion', 'GetCompositeSchedule', 'ReserveNow', 'CancelReservation',
+  // OCPP 2.0.1 equivalents
+  'RequestStartTransaction', 'RequestStopTransaction', 'GetBaseReport', 'GetVariables', 'GetTransactionStatus'
+];
+
+// Smart charging state, see rebalanceLoad()
+const LOAD_BALANCE_INTERVAL_MS = 15000;
+const LOAD_PROFILE_ID_BASE = 1000; // chargingProfileId = base + connectorId, so each connector has one TxProfile
+const MIN_LIMIT = { A: 6, W: 1380 }; // IEC 61851 minimum charging current (6 A, ~1.4 kW single phase)
+
+const loadSites = new Map(); // siteId -> { site_id, limit, unit, stations: [], min_limit }
+const stationLimits = new Map(); // stationId -> { station_id, limit, unit }
+const connectorOverrides = new Map(); // `${stationId}:${connectorId}` -> { station_id, connector_id, limit, unit }
+const appliedProfiles = new Map(); // txId -> { limit, unit, profile_id, status, sent_at, group }
+
+// Tariffs, see priceSession(). Assignments resolve connector -> station -> the default tariff.
+const ENERGY_PROFILE_MINUTES = 15; // Granularity of session.energy_profile used for time-of-day pricing
+const MAX_PRICED_MINUTES = 7 * 24 * 60; // Time is billed for a week at most; longer sessions are stuck, not charging
+
+const tariffs = new Map(); // tariffId -> { tariff_id, name, currency, price_per_kwh, price_per_minute, session_fee, idle_fee_per_minute, idle_grace_minutes, idle_fee_max, timezone, bands: [], default }
+const stationTariffs = new Map(); // stationId -> { station_id, tariff_id }
+const connectorTariffs = new Map(); // `${stationId}:${connectorId}` -> { station_id, connector_id, tariff_id }
+
+// Secondary index keys for a completed session. Each index entry holds a full copy of the
+// session so range queries never need a second lookup.
+function sessionIndexKeys(session) {
+  const station = session.station_id ?? '';
+  const connector = session.connector_id ?? 0;
+  const start = session.start_time;
+  const txId = session.transaction_id;
+  return [
+    ['sessions_by_start', start, txId],
+    ['sessions_by_station', station, start, txId],
+    ['sessions_by_connector', connector, start, txId],
+    ['sessions_by_station_connector', station, connector, start, txId]
+  ];
+}
+
+// Deno KV backend - completed sessions indexed by station, connector and start_time
+function createKvStorage(kv) {
+  return {
+    name: 'Deno KV',
+
+    async get(key) {
+      return (await kv.get(key)).value;
+    },
+
+    async set(key, value) {
+      await kv.set(key, value);
+    },
+
+    async delete(key) {
+      await kv.delete(key);
+    },
+
+    async list(prefix) {
+      const entries = [];
+      for await (const entry of kv.list({ prefix })) entries.push({ key: entry.key, value: entry.value });
+      return entries;
+    },
+
+    async saveSession(session) {
+      const op = kv.atomic().set(['sessions', session.transaction_id], session);
+      for (const key of sessionIndexKeys(session)) op.set(key, session);
+      const result = await op.commit();
+      if (!result.ok) throw new Error(`KV commit failed for session ${session.transaction_id}`);
+    },
+
+    async getSession(txId) {
+      return (await kv.get(['sessions', txId])).value;
+    },
+
+    async appendMeterPoints(txId, points) {
+      await Promise.all(points.map((point, i) => kv.set(['meter_values', txId, point.timestamp, i], point)));
+    },
+
+    async getMeterPoints(txId) {
+      const points = [];
+      for await (const entry of kv.list({ prefix: ['meter_values', txId] })) points.push(entry.value);
+      return points;
+    },
+
+    async deleteMeterPoints(txId) {
+      for await (const entry of kv.list({ prefix: ['meter_values', txId] })) await kv.delete(entry.key);
+    },
+
+    // Newest first. from/to are ISO string bounds on start_time (to is exclusive).
+    async querySessions({ station, connector, from, to, limit } = {}) {
+      let prefix = ['sessions_by_start'];
+      if (station && connector) prefix = ['sessions_by_station_connector', station, connector];
+      else if (station) prefix = ['sessions_by_station', station];
+      else if (connector) prefix = ['sessions_by_connector', connector];
+
+      const selector = from || to ?
+        { start: [...prefix, from || ''], end: [...prefix, to || '\uffff'] } :
+        { prefix };
+
+      const sessions = [];
+      for await (const entry of kv.list(selector, { reverse: true, limit })) sessions.push(entry.value);
+      return sessions;
+    }
+  };
+}
+
+// JSON file backend - the original behaviour, kept for environments without Deno KV.
+// Writes go to a temp file first and are renamed into place so a crash never leaves half a file.
+async function createJsonStorage() {
+  let sessions = [];
+  const documents = new Map();
 
-// Load sessions from file on startup
-async function loadSessions() {
   try {
-    const data = await Deno.readTextFile(SESSION_FILE);
-    completedSessions = JSON.parse(data);
-    console.log(`✅ Loaded ${completedSessions.length} sessions from disk`);
-  } catch (error) {
-    console.log('📝 No existing session file, starting fresh');
-    completedSessions = [];
+    sessions = JSON.parse(await Deno.readTextFile(SESSION_FILE));
+  } catch (_error) {
+    sessions = [];
+  }
+  try {
+    for (const [key, value] of JSON.parse(await Deno.readTextFile(DOCUMENTS_FILE))) documents.set(key, value);
+  } catch (_error) {
+    // No documents yet
+  }
+
+  // Meter points get a file per transaction that is only ever appended to. Older versions kept them in the
+  // documents file, which every write rewrote in full - move those out once.
+  const meterFile = txId => `${METER_VALUES_DIR}/${encodeURIComponent(txId)}.jsonl`;
+  await Deno.mkdir(METER_VALUES_DIR, { recursive: true });
+
+  // Writes to the same file are queued: two at once would share the temp file and could rename a half-written one
+  const writeQueues = new Map();
+  function writeAtomic(path, data) {
+    const json = JSON.stringify(data);
+    const write = (writeQueues.get(path) || Promise.resolve())
+      .catch(() => {})
+      .then(async () => {
+        await Deno.writeTextFile(`${path}.tmp`, json);
+        await Deno.rename(`${path}.tmp`, path);
+      });
+    writeQueues.set(path, write);
+    return write;
+  }
+
+  let documentsTimer = null;
+  function persistDocuments() {
+    if (documentsTimer) return;
+    documentsTimer = setTimeout(() => {
+      documentsTimer = null;
+      writeAtomic(DOCUMENTS_FILE, Array.from(documents.entries()))
+        .catch(error => console.error('❌ Failed to save documents:', error.message));
+    }, 100);
+  }
+
+  const legacyPoints = Array.from(documents.keys()).filter(rawKey => rawKey.startsWith('["meter_values",'));
+  for (const rawKey of legacyPoints) {
+    await Deno.writeTextFile(meterFile(JSON.parse(rawKey)[1]), JSON.stringify(documents.get(rawKey)) + '\n', { append: true });
+    documents.delete(rawKey);
+  }
+  if (legacyPoints.length) await writeAtomic(DOCUMENTS_FILE, Array.from(documents.entries()));
+
+  return {
+    name: 'JSON files',
+
+    get(key) {
+      return Promise.resolve(documents.get(JSON.stringify(key)) ?? null);
+    },
+
+    set(key, value) {
+      documents.set(JSON.stringify(key), value);
+      persistDocuments();
+      return Promise.resolve();
+    },
+
+    delete(key) {
+      documents.delete(JSON.stringify(key));
+      persistDocuments();
+      return Promise.resolve();
+    },
+
+    list(prefix) {
+      const entries = [];
+      for (const [rawKey, value] of documents.entries()) {
+        const key = JSON.parse(rawKey);
+        if (prefix.every((part, i) => key[i] === part)) entries.push({ key, value });
+      }
+      return Promise.resolve(entries);
+    },
+
+    async saveSession(session) {
+      const index = sessions.findIndex(s => s.transaction_id === session.transaction_id);
+      if (index >= 0) sessions[index] = session;
+      else sessions.unshift(session);
+      await writeAtomic(SESSION_FILE, sessions);
+    },
+
+    getSession(txId) {
+      return Promise.resolve(sessions.find(s => s.transaction_id === txId) || null);
+    },
+
+    async appendMeterPoints(txId, points) {
+      await Deno.writeTextFile(meterFile(txId), points.map(point => JSON.stringify(point) + '\n').join(''), { append: true });
+    },
+
+    async getMeterPoints(txId) {
+      try {
+        return (await Deno.readTextFile(meterFile(txId))).split('\n').filter(Boolean).map(line => JSON.parse(line));
+      } catch (error) {
+        if (error instanceof Deno.errors.NotFound) return [];
+        throw error;
+      }
+    },
+
+    async deleteMeterPoints(txId) {
+      await Deno.remove(meterFile(txId)).catch(() => {});
+    },
+
+    querySessions({ station, connector, from, to, limit } = {}) {
+      const result = sessions
+        .filter(s => (!station || s.station_id === station) &&
+          (!connector || s.connector_id === connector) &&
+          (!from || s.start_time >= from) &&
+          (!to || s.start_time < to))
+        .sort((a, b) => b.start_time.localeCompare(a.start_time));
+      return Promise.resolve(limit ? result.slice(0, limit) : result);
+    }
+  };
+}
+
+async function openStorage() {
+  if (STORAGE_BACKEND === 'kv') {
+    if (typeof Deno.openKv === 'function') {
+      return createKvStorage(await Deno.openKv(KV_PATH));
+    }
+    console.warn('⚠️ Deno KV unavailable (run with --unstable-kv), falling back to JSON files');
+  }
+  return await createJsonStorage();
+}
+
+const storage = await openStorage();
+
+// One-time import of the old JSON files into the storage backend
+async function migrateJsonFiles() {
+  if (await storage.get(['meta', 'json_migrated_at'])) return;
+
+  let imported = 0;
+  if (storage.name !== 'JSON files') {
+    try {
+      const sessions = JSON.parse(await Deno.readTextFile(SESSION_FILE));
+      for (const [i, session] of sessions.entries()) {
+        await storage.saveSession({ ...session, transaction_id: session.transaction_id || `legacy-${i}` });
+        imported++;
+      }
+    } catch (_error) {
+      // No legacy session file
+    }
+  }
+
+  try {
+    const data = JSON.parse(await Deno.readTextFile(ID_TAGS_FILE));
+    for (const tag of data.tags || []) await storage.set(['idtags', tag.id_tag], tag);
+    await storage.set(['meta', 'local_list_version'], data.list_version || 0);
+  } catch (_error) {
+    // No legacy idTag file
+  }
+
+  try {
+    const data = JSON.parse(await Deno.readTextFile(STATE_FILE));
+    for (const [txId, session] of data.active_sessions || []) await storage.set(['active_sessions', txId], session);
+    for (const device of data.devices || []) await storage.set(['devices', device.station_id], device);
+  } catch (_error) {
+    // No legacy state file
   }
+
+  await storage.set(['meta', 'json_migrated_at'], new Date().toISOString());
+  console.log(`📦 Migrated legacy JSON files into ${storage.name} (${imported} sessions)`);
+}
+
+// Store a finished session; the reports query it back from storage
+function saveCompletedSession(session) {
+  storage.saveSession(session)
+    .then(() => console.log(`💾 Saved session ${session.transaction_id} to ${storage.name}`))
+    .catch(error => console.error('❌ Failed to save session:', error.message));
+}
+
+// Load idTag registry on startup
+async function loadIdTags() {
+  localListVersion = await storage.get(['meta', 'local_list_version']) || 0;
+  for (const { value } of await storage.list(['idtags'])) idTags.set(value.id_tag, value);
+  console.log(`✅ Loaded ${idTags.size} idTags (list version ${localListVersion})`);
 }
 
-// Save sessions to file
-async function saveSessions() {
+// Save one idTag registry entry along with the current list version
+async function saveIdTag(tag) {
   try {
-    await Deno.writeTextFile(SESSION_FILE, JSON.stringify(completedSessions));
-    console.log(`💾 Saved ${completedSessions.length} sessions to disk`);
+    await storage.set(['idtags', tag.id_tag], tag);
+    await storage.set(['meta', 'local_list_version'], localListVersion);
   } catch (error) {
-    console.error('❌ Failed to save sessions:', error.message);
+    console.error('❌ Failed to save idTag:', error.message);
+  }
+}
+
+// Restore in-flight transactions and station metadata saved before the last shutdown.
+// Devices come back as offline with no socket until the charger reconnects, their sessions suspended.
+async function loadState() {
+  const restoredAt = new Date().toISOString();
+  for (const { key, value } of await storage.list(['active_sessions'])) {
+    activeSessions.set(key[1], value.suspended_at ? value : { ...value, suspended_at: restoredAt, suspend_reason: 'ServerRestart' });
   }
+  for (const { value } of await storage.list(['devices'])) {
+    connectedDevices.set(value.station_id, { ...value, socket: null, status: 'offline' });
+  }
+  for (const { key, value } of await storage.list(['device_model'])) {
+    if (!deviceModels.has(key[1])) deviceModels.set(key[1], new Map());
+    deviceModels.get(key[1]).set(key[2], value);
+  }
+  console.log(`✅ Restored ${activeSessions.size} active sessions and ${connectedDevices.size} devices`);
+}
+
+// Mirror a Map into a storage collection: write every entry, drop keys no longer present
+async function syncCollection(collection, entries) {
+  for (const { key } of await storage.list([collection])) {
+    if (!entries.has(key[1])) await storage.delete(key);
+  }
+  for (const [id, value] of entries) await storage.set([collection, id], value);
+}
+
+let stateSaveTimer = null;
+
+// Save active sessions and device metadata. Debounced because MeterValues arrive every few seconds.
+function saveState() {
+  if (stateSaveTimer) return;
+  stateSaveTimer = setTimeout(async () => {
+    stateSaveTimer = null;
+    try {
+      await syncCollection('active_sessions', activeSessions);
+      await syncCollection('devices', new Map(
+        Array.from(connectedDevices.entries()).map(([id, { socket: _socket, ...device }]) => [id, device])
+      ));
+    } catch (error) {
+      console.error('❌ Failed to save state:', error.message);
+    }
+  }, 1000);
 }
 
-// Load sessions on startup
-await loadSessions();
+// Load persisted data on startup
+await migrateJsonFiles();
+await loadIdTags();
+await loadState();
+await loadConnectionHistory();
+await loadLoadManagement();
+await loadTariffs();
+await loadConfigTemplates();
+await loadFirmware();
+await loadReservations();
+await loadRequestIds();
+await loadAuth();
+await loadStationRegistry();
+await loadWebhooks();
 
 console.log('🚀 OCPP WebSocket Server v3.0 Starting...');
 console.log('📊 Device disconnect detection enabled');
 console.log('🔄 Auto-cleanup on device offline/power-off');
-console.log(`💾 Persistent storage: ${completedSessions.length} sessions loaded`);
+console.log(`💾 Persistent storage: ${storage.name}`);
 
-// Monitor device heartbeats - mark offline if no heartbeat for 60 seconds
+// Monitor liveness - mark a device offline once it has been silent for MISSED_HEARTBEATS_OFFLINE of its
+// heartbeat intervals. Only OCPP messages count; a dead connection is caught sooner by the ping timeout (see onclose).
 setInterval(() => {
   const now = Date.now();
-  for (const [stationId, lastHeartbeat] of deviceLastHeartbeat.entries()) {
-    const secondsSinceHeartbeat = (now - lastHeartbeat) / 1000;
-    
-    // If no heartbeat for 60 seconds, mark device as offline
-    if (secondsSinceHeartbeat > 60) {
-      const device = connectedDevices.get(stationId);
-      if (device && device.status !== 'offline') {
-        device.status = 'offline';
-        addLog(`⚠️ Device ${stationId} marked OFFLINE (no heartbeat for 60s)`);
-        
-        // Auto-complete all active sessions for this device
-        for (const [txId, session] of activeSessions.entries()) {
-          if (session.station_id === stationId) {
-            session.end_time = new Date().toISOString();
-            session.duration_minutes = Math.floor((new Date(session.end_time) - new Date(session.start_time)) / 60000);
-            session.status = 'completed';
-            
-            completedSessions.unshift({ ...session, transaction_id: txId });
-            activeSessions.delete(txId);
-            portLastPowerCheck.delete(`${stationId}-${session.connector_id}`);
-            
-            addLog(`🔄 Auto-completed Port ${session.connector_id} (device offline)`);
-            saveSessions(); // Save to disk
-          }
-        }
+  for (const [stationId, lastSeen] of deviceLastSeen.entries()) {
+    const device = connectedDevices.get(stationId);
+    if (!device || device.status === 'offline') continue;
+
+    const silentSeconds = Math.round((now - lastSeen) / 1000);
+    if (silentSeconds > heartbeatIntervalOf(device) * MISSED_HEARTBEATS_OFFLINE + OFFLINE_GRACE_S) {
+      device.status = 'offline';
+      recordConnectionEvent(stationId, 'offline', { duration_s: silentSeconds, detail: `Heartbeat interval ${heartbeatIntervalOf(device)}s` });
+      addLog(`⚠️ Device ${stationId} marked OFFLINE (no message for ${silentSeconds}s, heartbeat interval ${heartbeatIntervalOf(device)}s)`);
+      saveState();
+      emitDeviceEvent(stationId, 'offline');
+
+      for (const [txId, session] of activeSessions.entries()) {
+        if (session.station_id === stationId) suspendSession(txId, session, 'StationOffline');
       }
     }
   }
 }, 10000); // Check every 10 seconds
 
+// Suspended sessions nobody picked up again end when the station was last heard of
+setInterval(() => {
+  for (const [txId, session] of activeSessions.entries()) {
+    if (!session.suspended_at || Date.now() - new Date(session.suspended_at) < SESSION_RESUME_GRACE_MS) continue;
+    completeSession(txId, session, SUSPEND_STOP_REASONS[session.suspend_reason] || session.suspend_reason, session.suspended_at);
+    addLog(`🔄 Auto-completed Port ${session.connector_id} (${session.station_id} did not resume it within ${formatDuration(SESSION_RESUME_GRACE_MS / 1000)})`);
+    publishSessionCompleted(session.station_id, txId, session);
+  }
+}, 10000);
+
 // Auto-cleanup ghost sessions every 5 seconds
 setInterval(() => {
   const now = Date.now();
   for (const [txId, session] of activeSessions.entries()) {
     const power = session.current_power_w || 0;
     const portKey = `${session.station_id}-${session.connector_id}`;
+
+    // Sessions restored after a restart keep their last power reading until the station reconnects;
+    // suspended ones are left to the resume grace period
+    const device = connectedDevices.get(session.station_id);
+    if (!device?.socket || session.suspended_at) continue;
+
+    // When the charger reports connector states, trust them over the power reading. A session that
+    // started on a connector that was already Available gets the full delay before Charging arrives.
+    const connector = device.connectors?.[session.connector_id];
+    if (connector) {
+      const secondsInState = (now - Math.max(new Date(connector.since), new Date(session.start_time))) / 1000;
+      if (IDLE_CONNECTOR_STATUSES.includes(connector.status) && secondsInState > 15) {
+        completeSession(txId, session, 'ConnectorIdle');
+        addLog(`🔄 Auto-cleaned ghost session: Port ${session.connector_id} (connector ${connector.status} without StopTransaction)`);
+        continue;
+      }
+      if (connector.status === 'Finishing' && secondsInState > 60) {
+        completeSession(txId, session, 'ConnectorIdle');
+        addLog(`🔄 Auto-cleaned ghost session: Port ${session.connector_id} (Finishing for 60s without StopTransaction)`);
+        continue;
+      }
+      if (PAUSED_CONNECTOR_STATUSES.includes(connector.status)) {
+        portLastPowerCheck.delete(portKey);
+        continue;
+      }
+    }
     
-    // If port has 0W power
+    // No connector state to go on: if port has 0W power
     if (power === 0) {
       const lastCheck = portLastPowerCheck.get(portKey) || now;
       const secondsAtZero = (now - lastCheck) / 1000;
       
       // If 0W for more than 30 seconds, auto-complete session
       if (secondsAtZero > 30) {
-        session.end_time = new Date().toISOString();
-        session.duration_minutes = Math.floor((new Date(session.end_time) - new Date(session.start_time)) / 60000);
-        session.status = 'completed';
-        
-        completedSessions.unshift({ ...session, transaction_id: txId });
-        activeSessions.delete(txId);
-        portLastPowerCheck.delete(portKey);
-
+        completeSession(txId, session, 'NoPower');
         addLog(`🔄 Auto-cleaned ghost session: Port ${session.connector_id} (0W for 30s)`);
-        saveSessions(); // Save to disk
       } else if (!portLastPowerCheck.has(portKey)) {
         portLastPowerCheck.set(portKey, now);
       }
@@ -115,162 +580,3141 @@ setInterval(() => {
   }
 }, 5000);
 
+// Keep /events streams alive through proxies that close idle connections
+setInterval(() => {
+  const ping = sseEncoder.encode(': ping\n\n');
+  for (const client of eventClients) {
+    try {
+      client.controller.enqueue(ping);
+    } catch (_error) {
+      eventClients.delete(client);
+    }
+  }
+}, 25000);
+
+// Reservations past their expiry date
+setInterval(() => {
+  for (const reservation of reservations.values()) {
+    if (reservation.status === 'Active' && new Date(reservation.expiry_date) <= Date.now()) setReservationStatus(reservation, 'Expired');
+  }
+}, 10000);
+
+// Retry due webhook deliveries (new events trigger delivery themselves)
+setInterval(drainWebhookOutbox, WEBHOOK_RETRY_BASE_MS);
+
+// Meter value retention, once at startup and then daily
+pruneMeterPoints().catch(error => console.error('❌ Failed to prune meter values:', error.message));
+setInterval(() => {
+  pruneMeterPoints().catch(error => console.error('❌ Failed to prune meter values:', error.message));
+}, 24 * 60 * 60 * 1000);
+
+// Drop finished commands once nobody is likely to poll them any more
+setInterval(() => {
+  const now = Date.now();
+  for (const [messageId, request] of pendingRequests.entries()) {
+    if (request.status !== 'pending' && now - new Date(request.completed_at) > COMMAND_RETENTION_MS) {
+      pendingRequests.delete(messageId);
+    }
+  }
+}, 60000);
+
 function addLog(message) {
   const timestamp = new Date().toISOString();
   activityLog.unshift({ timestamp, message });
   if (activityLog.length > 50) activityLog.pop();
   console.log(message);
+  emitEvent('log', { timestamp, message }, [
+    { id: null, parent: 'activity-log', prepend: true, limit: 15, html: renderLogEntry({ timestamp, message }) }
+  ]);
 }
 
-async function callBridge(action, data) {
-  if (!BRIDGE_URL) return null;
-  try {
-    const response = await fetch(BRIDGE_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-bridge-secret': BRIDGE_SECRET || ''
-      },
-      body: JSON.stringify({ action, data })
+// Push one event to every /events subscriber. `fragments` are dashboard HTML snippets
+// ({ id, html } replaces by id, { parent, prepend } inserts) so the page never re-renders.
+function emitEvent(type, data, fragments = []) {
+  if (eventClients.size === 0) return;
+  const chunk = sseEncoder.encode(`event: ${type}\ndata: ${JSON.stringify({ type, timestamp: new Date().toISOString(), data, fragments })}\n\n`);
+  for (const client of eventClients) {
+    if (client.types && !client.types.includes(type)) continue;
+    try {
+      client.controller.enqueue(chunk);
+    } catch (_error) {
+      eventClients.delete(client);
+    }
+  }
+}
+
+function emitSessionEvent(type, txId, session) {
+  const ports = Number.isInteger(session.connector_id) && session.connector_id >= 1 && session.connector_id <= 10 ?
+    [{ id: `port-${session.connector_id}`, html: renderPortCard(session.connector_id) }] : [];
+  emitEvent(type, { ...session, transaction_id: txId }, [
+    ...ports,
+    { id: 'dashboard-stats', html: renderDashboardStats() }
+  ]);
+}
+
+function emitDeviceEvent(stationId, change, connectorId = null) {
+  const device = connectedDevices.get(stationId);
+  if (!device) return;
+  const { socket: _socket, ...data } = device;
+  const ports = Number.isInteger(connectorId) && connectorId >= 1 && connectorId <= 10 ?
+    [{ id: `port-${connectorId}`, html: renderPortCard(connectorId) }] : [];
+  emitEvent('device', { ...data, change }, [
+    { id: domId('device', stationId), parent: 'device-grid', html: renderDeviceItem(device) },
+    ...ports,
+    { id: 'dashboard-stats', html: renderDashboardStats() }
+  ]);
+
+  // Webhook events
+  if (change === 'connected' || change === 'online') {
+    publishEvent('station.online', stationId, {
+      change,
+      vendor: device.vendor,
+      model: device.model,
+      firmware: device.firmware,
+      ocpp_protocol: device.ocpp_protocol || null,
+      connected_at: device.connected_at
     });
-    
-    const contentType = response.headers.get('content-type');
-    if (contentType && contentType.includes('application/json')) {
-      return await response.json();
-    } else {
-      console.error('Bridge returned non-JSON:', await response.text());
-      return null;
+  } else if (change === 'disconnected' || change === 'offline') {
+    publishEvent('station.offline', stationId, {
+      reason: change === 'offline' ? 'HeartbeatTimeout' : 'Disconnected',
+      disconnected_at: device.disconnected_at || new Date().toISOString()
+    });
+  } else if (change === 'connector') {
+    const connector = device.connectors?.[connectorId];
+    if (connector && (connector.status === 'Faulted' || connector.error_code !== 'NoError')) {
+      publishEvent('connector.faulted', stationId, {
+        connector_id: connector.connector_id,
+        status: connector.status,
+        error_code: connector.error_code,
+        info: connector.info,
+        vendor_error_code: connector.vendor_error_code,
+        timestamp: connector.timestamp
+      });
     }
-  } catch (error) {
-    console.error('Bridge error:', error.message);
-    return null;
   }
 }
 
-// Parse MeterValues to extract power, energy, voltage, current, temp
-function parseMeterValues(meterValue) {
-  let power = 0;
-  let energy = 0;
-  let voltage = 0;
-  let current = 0;
-  let temperature = 0;
+// Close an active session: stamp end time and duration, move it to storage and notify
+// live listeners. Callers write their own activity log line and bridge update.
+function completeSession(txId, session, reason, endTime = new Date().toISOString()) {
+  session.end_time = endTime;
+  session.duration_minutes = Math.floor((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+  session.status = 'completed';
+  session.stop_reason = reason;
+  session.cost = priceSession(session);
+  appliedProfiles.delete(txId);
+
+  saveCompletedSession({ ...session, transaction_id: txId });
+  activeSessions.delete(txId);
+  portLastPowerCheck.delete(`${session.station_id}-${session.connector_id}`);
+  saveState();
+  emitSessionEvent('session_stopped', txId, session);
+}
 
-  if (!meterValue || !Array.isArray(meterValue)) return { power, energy, voltage, current, temperature };
+// Hold a session of a station we lost. Only the first reason counts: a station that goes offline and
+// then drops its socket stays suspended since it went offline.
+function suspendSession(txId, session, reason) {
+  if (session.suspended_at) return;
+  session.suspended_at = new Date().toISOString();
+  session.suspend_reason = reason;
+  addLog(`⏸️ Suspended Port ${session.connector_id} session ${txId} on ${session.station_id} (${reason})`);
+  saveState();
+  emitSessionEvent('session_suspended', txId, session);
+}
 
-  for (const meter of meterValue) {
-    if (!meter.sampledValue || !Array.isArray(meter.sampledValue)) continue;
+// The station is talking about a suspended session again: it goes on as if nothing happened, with the
+// gap kept in session.interruptions
+function resumeSession(txId, session) {
+  if (!session.suspended_at) return;
+  const resumedAt = new Date().toISOString();
+  session.interruptions = [...(session.interruptions || []), { from: session.suspended_at, to: resumedAt, reason: session.suspend_reason }];
+  addLog(`▶️ Resumed Port ${session.connector_id} session ${txId} on ${session.station_id} after ${formatDuration(Math.round((new Date(resumedAt) - new Date(session.suspended_at)) / 1000))}`);
+  delete session.suspended_at;
+  delete session.suspend_reason;
+  saveState();
+  emitSessionEvent('session_resumed', txId, session);
+}
 
-    for (const sample of meter.sampledValue) {
-      const measurand = sample.measurand || '';
-      const value = parseFloat(sample.value) || 0;
+// 1.6 StatusNotifications carry no transactionId, but a connector that is charging again after the
+// station came back is still in the transaction it was in
+function resumeConnectorSessions(stationId, connector) {
+  if (!PAUSED_CONNECTOR_STATUSES.includes(connector.status) || connector.status === 'Preparing') return;
+  for (const [txId, session] of activeSessions.entries()) {
+    if (session.station_id === stationId && session.connector_id === connector.connector_id) resumeSession(txId, session);
+  }
+}
 
-      if (measurand === 'Power.Active.Import') {
-        power = value;
-      }
+// A station that talks to us again without rebooting is still in the transactions it had, even when
+// a plain 1.6 reconnect brings no StatusNotification or MeterValues. Sessions suspended before a
+// BootNotification on the current connection (since) are left for the station to report on.
+function resumeStationSessions(stationId, since = null) {
+  for (const [txId, session] of activeSessions.entries()) {
+    if (session.station_id === stationId && session.suspended_at && (!since || session.suspended_at > since)) resumeSession(txId, session);
+  }
+}
 
-      if (measurand === 'Energy.Active.Import.Register') {
-        energy = value / 1000; // Wh to kWh
-      }
+function publishSessionCompleted(stationId, txId, session) {
+  return publishEvent('session.completed', stationId, {
+    transaction_id: txId,
+    connector_id: session.connector_id,
+    status: 'completed',
+    end_time: session.end_time,
+    energy_delivered: session.energy_kwh || 0,
+    duration_minutes: session.duration_minutes,
+    stop_reason: session.stop_reason || null,
+    cost: session.cost || null
+  });
+}
 
-      if (measurand === 'Voltage' && sample.phase === 'L1-N') {
-        voltage = value;
-      }
+// Events queued by the pre-envelope bridge format ({ action, data } bodies) are wrapped on load
+const LEGACY_BRIDGE_ACTIONS = {
+  registerStation: 'station.registered',
+  updateStation: 'station.updated',
+  createSession: 'session.started',
+  updateSession: 'session.completed'
+};
 
-      if (measurand === 'Current.Import' && sample.phase === 'L1-N') {
-        current = value;
-      }
+async function loadWebhooks() {
+  for (const { value } of await storage.list(['webhooks'])) webhooks.set(value.id, value);
+  if (BRIDGE_URL) {
+    webhooks.set('bridge', {
+      id: 'bridge',
+      url: BRIDGE_URL,
+      secret: BRIDGE_SECRET || null,
+      event_types: BRIDGE_EVENT_TYPES,
+      description: 'BRIDGE_URL (Base44)',
+      enabled: true,
+      builtin: true
+    });
+  }
 
-      if (measurand === 'Temperature') {
-        temperature = value;
-      }
+  // Deliveries queued before webhooks existed (['bridge_outbox']) belong to the bridge
+  const entries = [...await storage.list(['webhook_outbox']), ...await storage.list(['bridge_outbox'])];
+  entries.sort((a, b) => a.key[1].localeCompare(b.key[1]));
+  for (const { key, value } of entries) {
+    if (value.body && !value.envelope) {
+      const { action, data, event_id: _eventId, ...meter } = value.body;
+      value.type = LEGACY_BRIDGE_ACTIONS[action] || 'meter.values';
+      value.envelope = eventEnvelope(value.event_id, value.type, value.station_id, value.created_at, data ? { ...(data.updates || data) } : meter);
+      delete value.body;
     }
+    value.subscription_id = value.subscription_id || 'bridge';
+    if (key[0] === 'bridge_outbox') {
+      await storage.set(['webhook_outbox', value.id], value);
+      await storage.delete(key);
+    }
+    webhookOutbox.set(value.id, value);
   }
+  console.log(`✅ Loaded ${webhooks.size} webhook subscriptions${webhookOutbox.size ? `, ${webhookOutbox.size} queued deliveries` : ''}`);
+}
 
-  return { power, energy, voltage, current, temperature };
+function eventEnvelope(id, type, stationId, timestamp, payload) {
+  const { station_id: _stationId, ...rest } = payload || {};
+  return { version: EVENT_VERSION, id, type, timestamp, station_id: stationId, payload: rest };
 }
 
-function generateLogsPage(sessions, filters) {
-  const { date, station, port } = filters;
-  
-  const totalSessions = sessions.length;
-  const totalEnergy = sessions.reduce((sum, s) => sum + (parseFloat(s.energy_kwh) || 0), 0);
-  const totalDuration = sessions.reduce((sum, s) => sum + (s.duration_minutes || 0), 0);
-  const avgDuration = totalSessions > 0 ? Math.round(totalDuration / totalSessions) : 0;
+// HMAC-SHA256 of `${timestamp}.${body}` as hex; the timestamp is the send time of this attempt, so
+// the receiver can reject anything older than a few minutes, and dedupe by envelope id within that
+async function signEventBody(secret, timestamp, body) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return hexString(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`)));
+}
 
-  const byDate = {};
-  sessions.forEach(s => {
-    const day = s.start_time.split('T')[0];
-    if (!byDate[day]) byDate[day] = [];
-    byDate[day].push(s);
-  });
+// Publish an event to every enabled subscription that wants its type. Each gets its own delivery
+// in the outbox (same envelope, so the id is shared), persisted first and sent in the background
+// by drainWebhookOutbox(). Events with a coalesce key (live meter readings) replace an undelivered
+// older one of the same subscription instead of piling up.
+function publishEvent(type, stationId, payload, coalesceKey = null) {
+  if (!WEBHOOK_EVENT_TYPES.includes(type)) throw new Error(`Unknown event type ${type}`);
 
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>📊 Charging Logs & Reports</title>
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; }
-    .container { max-width: 1400px; margin: 0 auto; }
-    .header { background: white; border-radius: 16px; padding: 30px; margin-bottom: 20px; box-shadow: 0 20px 60px rgba(0,0,0,0.1); }
-    .title { font-size: 32px; font-weight: 800; color: #667eea; }
-    .subtitle { color: #64748b; margin-top: 8px; }
-    .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-bottom: 20px; }
-    .stat-card { background: white; border-radius: 12px; padding: 20px; box-shadow: 0 4px 12px rgba(0,0,0,0.05); }
-    .stat-label { color: #64748b; font-size: 12px; text-transform: uppercase; font-weight: 600; margin-bottom: 8px; }
-    .stat-value { font-size: 28px; font-weight: 700; color: #1e293b; }
-    .card { background: white; border-radius: 16px; padding: 25px; margin-bottom: 20px; box-shadow: 0 4px 20px rgba(0,0,0,0.08); }
-    .filters { display: flex; gap: 10px; margin-bottom: 20px; flex-wrap: wrap; }
-    .filters input, .filters select { padding: 10px; border: 2px solid #e2e8f0; border-radius: 8px; font-size: 14px; }
-    .btn { padding: 10px 20px; background: #667eea; color: white; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; }
-    .btn:hover { background: #5568d3; }
-    .btn-download { background: #10b981; }
-    .btn-download:hover { background: #059669; }
-    table { width: 100%; border-collapse: collapse; margin-top: 15px; }
-    th, td { padding: 12px; text-align: left; border-bottom: 1px solid #e2e8f0; }
-    th { background: #f8fafc; font-weight: 600; color: #64748b; font-size: 12px; text-transform: uppercase; }
-    .date-group { background: #f8fafc; padding: 15px; border-radius: 12px; margin-bottom: 15px; }
-    .date-header { font-size: 18px; font-weight: 700; color: #1e293b; margin-bottom: 10px; }
-    .port-badge { display: inline-block; padding: 4px 10px; background: #667eea; color: white; border-radius: 6px; font-size: 12px; font-weight: 600; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <div class="title">📊 Charging Logs & Reports</div>
-      <div class="subtitle">Complete session history with filtering and download</div>
-    </div>
+  const now = new Date().toISOString();
+  const envelope = eventEnvelope(crypto.randomUUID(), type, stationId, now, payload);
+  const deliveries = [];
 
-    <div class="stats">
-      <div class="stat-card">
-        <div class="stat-label">Total Sessions</div>
-        <div class="stat-value" style="color: #667eea;">${totalSessions}</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-label">Total Energy</div>
-        <div class="stat-value" style="color: #10b981;">${totalEnergy.toFixed(2)} kWh</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-label">Total Duration</div>
-        <div class="stat-value" style="color: #f59e0b;">${totalDuration} min</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-label">Avg Duration</div>
-        <div class="stat-value" style="color: #8b5cf6;">${avgDuration} min</div>
-      </div>
-    </div>
+  for (const subscription of webhooks.values()) {
+    if (!subscription.enabled || !subscription.event_types.includes(type)) continue;
 
-    <div class="card">
-      <form class="filters" method="GET">
-        <input type="date" name="date" value="${date || ''}" placeholder="Select Date">
-        <input type="month" name="month" value="${filters.month || ''}" placeholder="Select Month">
-        <input type="text" name="station" value="${station || ''}" placeholder="Station ID (e.g., 01)">
-        <input type="number" name="port" value="${port || ''}" placeholder="Port (1-10)" min="1" max="10">
-        <button type="submit" class="btn">🔍 Filter</button>
-        <button type="submit" name="format" value="csv" class="btn btn-download">📥 Download CSV</button>
+    if (coalesceKey) {
+      for (const [id, queued] of webhookOutbox.entries()) {
+        if (queued.subscription_id === subscription.id && queued.coalesce_key === coalesceKey &&
+          queued.status === 'pending' && !queued.in_flight) {
+          webhookOutbox.delete(id);
+          storage.delete(['webhook_outbox', id]).catch(error => console.error('❌ Webhook outbox:', error.message));
+        }
+      }
+    }
+
+    const delivery = {
+      id: `${String(Date.now()).padStart(15, '0')}-${String(++webhookOutboxSeq % 1000000).padStart(6, '0')}`,
+      subscription_id: subscription.id,
+      event_id: envelope.id,
+      type,
+      station_id: stationId,
+      coalesce_key: coalesceKey,
+      envelope,
+      status: 'pending',
+      attempts: 0,
+      created_at: now,
+      next_attempt_at: now,
+      last_attempt_at: null,
+      last_error: null
+    };
+    webhookOutbox.set(delivery.id, delivery);
+    deliveries.push(storage.set(['webhook_outbox', delivery.id], delivery));
+  }
+
+  if (deliveries.length > 0) {
+    Promise.all(deliveries)
+      .catch(error => console.error('❌ Webhook outbox:', error.message))
+      .then(() => drainWebhookOutbox());
+  }
+  return envelope;
+}
+
+function statsFor(subscriptionId) {
+  if (!webhookStats.has(subscriptionId)) {
+    webhookStats.set(subscriptionId, { delivered: 0, last_success_at: null, last_failure_at: null, last_error: null });
+  }
+  return webhookStats.get(subscriptionId);
+}
+
+// One delivery attempt. Network errors, timeouts, 408/429 and 5xx are retried; any other 4xx means
+// the subscriber will never accept the event, so it is parked as failed straight away.
+async function deliverWebhook(delivery) {
+  const subscription = webhooks.get(delivery.subscription_id);
+  if (!subscription) {
+    // Subscription deleted while the delivery was queued
+    webhookOutbox.delete(delivery.id);
+    await storage.delete(['webhook_outbox', delivery.id]);
+    return true;
+  }
+
+  delivery.attempts++;
+  delivery.last_attempt_at = new Date().toISOString();
+  delivery.in_flight = true;
+
+  let error = null;
+  let permanent = false;
+  try {
+    const body = JSON.stringify(delivery.envelope);
+    const headers = { 'Content-Type': 'application/json', 'x-bridge-event': delivery.type };
+    if (subscription.secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers['x-bridge-timestamp'] = timestamp;
+      headers['x-bridge-signature'] = `v${EVENT_VERSION}=${await signEventBody(subscription.secret, timestamp, body)}`;
+    }
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    await response.body?.cancel();
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+      permanent = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+    }
+  } catch (fetchError) {
+    error = fetchError.message;
+  } finally {
+    delete delivery.in_flight;
+  }
+
+  const stats = statsFor(subscription.id);
+  if (!error) {
+    webhookOutbox.delete(delivery.id);
+    stats.delivered++;
+    stats.last_success_at = new Date().toISOString();
+    await storage.delete(['webhook_outbox', delivery.id]);
+    if (delivery.type === 'meter.values' && subscription.id === 'bridge') {
+      console.log(`✅ Bridge: Port ${delivery.envelope.payload.connector_id} → ${delivery.envelope.payload.power_w}W to Base44`);
+    }
+    return true;
+  }
+
+  stats.last_failure_at = new Date().toISOString();
+  stats.last_error = error;
+  delivery.last_error = error;
+  if (permanent || delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.failed_at = new Date().toISOString();
+    addLog(`❌ Webhook ${subscription.id}: ${delivery.type}${delivery.station_id ? ` for ${delivery.station_id}` : ''} failed after ${delivery.attempts} attempt(s): ${error}`);
+  } else {
+    const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts - 1), WEBHOOK_RETRY_MAX_MS);
+    delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+    console.error(`Webhook ${subscription.id} error (${delivery.type}, attempt ${delivery.attempts}): ${error} - retrying in ${Math.round(delay / 1000)}s`);
+  }
+  await storage.set(['webhook_outbox', delivery.id], delivery);
+  return false;
+}
+
+// Deliver one subscription's due events oldest first. A station whose oldest pending delivery is
+// waiting for a retry holds back its later ones, so the subscriber always sees a station's events
+// in order; other stations carry on. Failed deliveries are parked and no longer hold anything back.
+// One pass per subscription at a time; work queued meanwhile gets another pass right after.
+async function drainSubscription(subscriptionId) {
+  if (webhookDraining.has(subscriptionId)) {
+    webhookDrainAgain.add(subscriptionId);
+    return;
+  }
+  webhookDraining.add(subscriptionId);
+  try {
+    do {
+      webhookDrainAgain.delete(subscriptionId);
+      const blocked = new Set();
+      for (const delivery of Array.from(webhookOutbox.values())) {
+        if (delivery.subscription_id !== subscriptionId || delivery.status !== 'pending' || !webhookOutbox.has(delivery.id)) continue;
+        const key = delivery.station_id || '';
+        if (blocked.has(key)) continue;
+        if (new Date(delivery.next_attempt_at) > Date.now() || !await deliverWebhook(delivery)) {
+          if (delivery.status === 'pending') blocked.add(key);
+        }
+      }
+    } while (webhookDrainAgain.has(subscriptionId));
+  } catch (error) {
+    console.error(`❌ Webhook outbox (${subscriptionId}):`, error.message);
+  } finally {
+    webhookDraining.delete(subscriptionId);
+  }
+}
+
+// Every subscription drains on its own, so a slow or dead consumer never delays the others
+function drainWebhookOutbox() {
+  const subscriptionIds = new Set(Array.from(webhookOutbox.values(), delivery => delivery.subscription_id));
+  return Promise.all(Array.from(subscriptionIds, drainSubscription));
+}
+
+function webhookOutboxSummary(delivery) {
+  const { coalesce_key: _coalesceKey, in_flight: _inFlight, ...summary } = delivery;
+  return summary;
+}
+
+// Public view of a subscription: never the secret, plus its queue and delivery status
+function webhookSummary(subscription) {
+  const { secret, ...rest } = subscription;
+  const queued = Array.from(webhookOutbox.values()).filter(d => d.subscription_id === subscription.id);
+  return {
+    ...rest,
+    signed: !!secret,
+    depth: queued.filter(d => d.status === 'pending').length,
+    failed: queued.filter(d => d.status === 'failed').length,
+    ...statsFor(subscription.id)
+  };
+}
+
+// Validate a webhook create/update body; returns an error string or null
+function validateWebhook(body, partial = false) {
+  if (!partial || body.url !== undefined) {
+    try {
+      const url = new URL(body.url);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'url must be http(s)';
+    } catch (_error) {
+      return 'url must be a valid URL';
+    }
+  }
+  if (!partial || body.event_types !== undefined) {
+    if (!Array.isArray(body.event_types) || body.event_types.length === 0 ||
+      body.event_types.some(type => !WEBHOOK_EVENT_TYPES.includes(type))) {
+      return `event_types must be a non-empty list of ${WEBHOOK_EVENT_TYPES.join(', ')}`;
+    }
+  }
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') return 'enabled must be true or false';
+  if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16 || body.secret.length > 200)) {
+    return 'secret must be a string of 16 to 200 characters';
+  }
+  if (body.description !== undefined && (typeof body.description !== 'string' || body.description.length > 200)) {
+    return 'description must be a string of at most 200 characters';
+  }
+  return null;
+}
+
+// Send a CALL to a station and register it so the CALLRESULT/CALLERROR can be matched by messageId.
+// Returns null when the station has no open socket.
+function sendCall(stationId, action, payload = {}, timeoutMs = COMMAND_TIMEOUT_MS, requestedBy = 'system') {
+  const device = connectedDevices.get(stationId);
+  if (!device || !device.socket || device.socket.readyState !== WebSocket.OPEN) {
+    return null;
+  }
+
+  const messageId = crypto.randomUUID();
+  const request = {
+    message_id: messageId,
+    station_id: stationId,
+    action,
+    payload,
+    requested_by: requestedBy,
+    status: 'pending',
+    sent_at: new Date().toISOString(),
+    completed_at: null,
+    response: null,
+    error: null
+  };
+
+  // Non-enumerable so the bookkeeping never leaks into JSON responses
+  let resolve;
+  Object.defineProperty(request, 'done', { value: new Promise(r => { resolve = r; }) });
+  Object.defineProperty(request, 'resolve', { value: resolve });
+  Object.defineProperty(request, 'timer', {
+    value: setTimeout(() => finishCall(messageId, 'timeout', {
+      error: { code: 'Timeout', description: `No response within ${timeoutMs / 1000}s` }
+    }), timeoutMs)
+  });
+
+  pendingRequests.set(messageId, request);
+  device.socket.send(JSON.stringify([CALL, messageId, action, payload]));
+  return request;
+}
+
+// Settle a pending CALL. A late answer after a timeout still overwrites the timeout so polling sees the truth.
+function finishCall(messageId, status, fields) {
+  const request = pendingRequests.get(messageId);
+  if (!request || (request.status !== 'pending' && request.status !== 'timeout')) return null;
+
+  clearTimeout(request.timer);
+  Object.assign(request, fields, { status, completed_at: new Date().toISOString() });
+  request.resolve(request);
+  return request;
+}
+
+function handleCallResult(stationId, messageId, payload) {
+  const request = finishCall(messageId, 'completed', { response: payload || {}, error: null });
+  if (!request) {
+    console.warn(`Unmatched CALLRESULT ${messageId} from ${stationId}`);
+    return;
+  }
+  addLog(`📬 ${stationId} answered ${request.action}: ${payload?.status || 'OK'}`);
+}
+
+function handleCallError(stationId, messageId, errorCode, errorDescription, errorDetails) {
+  const request = finishCall(messageId, 'error', {
+    response: null,
+    error: { code: errorCode || 'GenericError', description: errorDescription || '', details: errorDetails || {} }
+  });
+  if (!request) {
+    console.warn(`Unmatched CALLERROR ${messageId} from ${stationId}: ${errorCode}`);
+    return;
+  }
+  addLog(`⛔ ${stationId} rejected ${request.action}: ${errorCode} ${errorDescription || ''}`.trim());
+}
+
+// Shape a tracked CALL for the REST API, with success reflecting what the charger actually said
+function commandResult(request) {
+  const accepted = request.status === 'completed' &&
+    (request.response?.status === undefined || ACCEPTED_STATUSES.includes(request.response.status));
+  return {
+    success: accepted,
+    messageId: request.message_id,
+    station_id: request.station_id,
+    action: request.action,
+    requested_by: request.requested_by,
+    status: request.status,
+    response: request.response,
+    error: request.error,
+    sent_at: request.sent_at,
+    completed_at: request.completed_at
+  };
+}
+
+function hexString(buffer) {
+  return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Constant-time comparison of two hex digests
+function digestsEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+async function hashPassword(password, salt) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations: 100000 },
+    key,
+    256
+  );
+  return hexString(bits);
+}
+
+async function sha256(text) {
+  return hexString(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+// Failed password checks per station id or username, see AUTH_MAX_FAILURES
+function authThrottled(failures, key) {
+  const entry = failures.get(key);
+  return !!entry && Date.now() - entry.since < AUTH_WINDOW_MS && entry.count >= AUTH_MAX_FAILURES;
+}
+
+function recordAuthFailure(failures, key) {
+  const entry = failures.get(key);
+  if (entry && Date.now() - entry.since < AUTH_WINDOW_MS) entry.count++;
+  else failures.set(key, { count: 1, since: Date.now() });
+}
+
+function randomToken(bytes = 24) {
+  return hexString(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+// reservationId, GetDiagnostics/GetLog requestId and UpdateFirmware requestId are integers the charger
+// echoes back, so they come from one persisted counter. The first run starts above any id already stored.
+async function loadRequestIds() {
+  const existing = [
+    ...reservations.keys(),
+    ...diagnosticsRequests.keys(),
+    ...Array.from(firmwareRollouts.values()).flatMap(r => Object.values(r.stations).map(target => target.request_id))
+  ].map(Number).filter(Number.isInteger);
+  lastRequestId = existing.reduce((max, id) => Math.max(max, id), await storage.get(['meta', 'last_request_id']) || 0);
+}
+
+function nextRequestId() {
+  lastRequestId = lastRequestId >= 2147483647 ? 1 : lastRequestId + 1;
+  storage.set(['meta', 'last_request_id'], lastRequestId)
+    .catch(error => console.error('❌ Failed to save request id:', error.message));
+  return lastRequestId;
+}
+
+async function saveUser(username, password, role) {
+  const salt = randomToken(16);
+  const user = {
+    username,
+    role,
+    salt,
+    password_hash: await hashPassword(password, salt),
+    created_at: users.get(username)?.created_at || new Date().toISOString()
+  };
+  users.set(username, user);
+  await storage.set(['auth', 'users', username], user);
+  return user;
+}
+
+// Load users and API keys. ADMIN_PASSWORD (re)sets the admin account on every start; with no
+// users at all a random admin password is generated and printed once so nobody is locked out.
+async function loadAuth() {
+  for (const { value } of await storage.list(['auth', 'users'])) users.set(value.username, value);
+  for (const { value } of await storage.list(['auth', 'api_keys'])) apiKeys.set(value.id, value);
+
+  if (ADMIN_PASSWORD) {
+    await saveUser(ADMIN_USERNAME, ADMIN_PASSWORD, 'admin');
+  } else if (users.size === 0) {
+    const password = randomToken(9);
+    await saveUser(ADMIN_USERNAME, password, 'admin');
+    console.log(`🔐 Created admin user "${ADMIN_USERNAME}" with password ${password} - set ADMIN_PASSWORD to choose your own`);
+  }
+  console.log(`✅ Loaded ${users.size} users and ${apiKeys.size} API keys`);
+}
+
+function hasRole(identity, required) {
+  return !!identity && ROLES.indexOf(identity.role) >= ROLES.indexOf(required);
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.get('cookie') || '').split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name) cookies[name] = decodeURIComponent(rest.join('='));
+  }
+  return cookies;
+}
+
+// Check a user's password for HTTP Basic and /login, with the same cache and failure window as stations.
+// Returns { user } on success, { throttled: true } while the username is refused unchecked, else {}.
+async function verifyUserPassword(username, password) {
+  const user = users.get(username);
+  if (!user) return {};
+  const digest = await sha256(`${username}:${password}`);
+  const cached = userAuthCache.get(username);
+  if (cached && cached.password_hash === user.password_hash && digestsEqual(cached.digest, digest)) return { user };
+  if (authThrottled(userAuthFailures, username)) return { throttled: true };
+
+  if (!digestsEqual(user.password_hash, await hashPassword(password, user.salt))) {
+    recordAuthFailure(userAuthFailures, username);
+    return {};
+  }
+  userAuthCache.set(username, { digest, password_hash: user.password_hash });
+  userAuthFailures.delete(username);
+  return { user };
+}
+
+// Resolve who is calling: API key (Bearer or x-api-key), HTTP Basic user, or login cookie
+async function authenticate(req) {
+  const header = req.headers.get('authorization') || '';
+  const apiKey = req.headers.get('x-api-key') || (header.startsWith('Bearer ') ? header.slice(7).trim() : null);
+
+  if (apiKey) {
+    const [id] = apiKey.split('.');
+    const record = apiKeys.get(id);
+    if (!record || !digestsEqual(record.key_hash, await sha256(apiKey))) return null;
+    record.last_used_at = new Date().toISOString();
+    return { name: `key:${record.name}`, role: record.role, type: 'api_key' };
+  }
+
+  if (header.startsWith('Basic ')) {
+    try {
+      const [username, ...rest] = atob(header.slice(6)).split(':');
+      const { user } = await verifyUserPassword(username, rest.join(':'));
+      if (!user) return null;
+      return { name: user.username, role: user.role, type: 'user' };
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  const token = parseCookies(req).ocpp_session;
+  const session = token ? webSessions.get(token) : null;
+  if (!session) return null;
+  if (session.expires < Date.now() || !users.has(session.username)) {
+    webSessions.delete(token);
+    return null;
+  }
+  return { name: session.username, role: users.get(session.username).role, type: 'user' };
+}
+
+// Minimum role for a route; /command is checked again per OCPP action once the body is read
+function requiredRole(req, url) {
+  if (url.pathname.startsWith('/api/auth') && url.pathname !== '/api/auth/me') return 'admin';
+  if (url.pathname.startsWith('/api/webhooks')) return 'admin';
+  if (url.pathname.startsWith('/api/tariffs')) return req.method === 'GET' ? 'viewer' : 'admin';
+  if (url.pathname.startsWith('/api/firmware')) return req.method === 'GET' ? 'viewer' : 'admin';
+  // Reading a station's configuration is an operator action, changing it or templates is admin
+  if (url.pathname.startsWith('/api/config') || /^\/api\/devices\/[^/]+\/configuration\/[^/]+$/.test(url.pathname)) {
+    return req.method === 'GET' ? 'viewer' : 'admin';
+  }
+  if (url.pathname.startsWith('/api/load/sites') || url.pathname.startsWith('/api/load/stations') ||
+    url.pathname.startsWith('/api/stations')) {
+    return req.method === 'GET' ? 'viewer' : 'admin';
+  }
+  return req.method === 'GET' || req.method === 'HEAD' ? 'viewer' : 'operator';
+}
+
+function requiredRoleForAction(action) {
+  return OPERATOR_ACTIONS.includes(action) ? 'operator' : 'admin';
+}
+
+// Anything a charger, a URL or a user supplied goes through this before it is put into HTML
+function escapeHtml(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Browsers get the login page, API clients get JSON
+function wantsHtml(req, url) {
+  return !url.pathname.startsWith('/api/') && url.pathname !== '/command' &&
+    url.pathname !== '/events' && (req.headers.get('accept') || '').includes('text/html');
+}
+
+function generateLoginPage(next, error) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>🔐 Sign in - OCPP Server</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; display: flex; align-items: center; justify-content: center; }
+    .card { background: white; border-radius: 16px; padding: 30px; width: 100%; max-width: 380px; box-shadow: 0 20px 60px rgba(0,0,0,0.1); }
+    .title { font-size: 26px; font-weight: 800; color: #667eea; margin-bottom: 20px; }
+    input { width: 100%; padding: 12px; border: 2px solid #e2e8f0; border-radius: 8px; font-size: 14px; margin-bottom: 12px; }
+    .btn { width: 100%; padding: 12px; background: #667eea; color: white; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; }
+    .btn:hover { background: #5568d3; }
+    .error { background: #fee2e2; color: #b91c1c; padding: 10px; border-radius: 8px; margin-bottom: 12px; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <form class="card" method="POST" action="/login">
+    <div class="title">⚡ OCPP Server</div>
+    ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+    <input type="hidden" name="next" value="${encodeURI(next || '/')}">
+    <input type="text" name="username" placeholder="Username" autocomplete="username" required autofocus>
+    <input type="password" name="password" placeholder="Password" autocomplete="current-password" required>
+    <button type="submit" class="btn">Sign in</button>
+  </form>
+</body>
+</html>`;
+}
+
+async function loadStationRegistry() {
+  for (const { value } of await storage.list(['stations'])) stationRegistry.set(value.station_id, value);
+  console.log(`✅ Loaded ${stationRegistry.size} registered stations${ALLOW_UNREGISTERED_STATIONS ? ' (unregistered stations allowed)' : ''}`);
+}
+
+// Public view of a registry entry - never includes hashes
+function stationRecordSummary(record) {
+  const device = connectedDevices.get(record.station_id);
+  return {
+    station_id: record.station_id,
+    security_profile: record.security_profile,
+    revoked: !!record.revoked,
+    pending_rotation: !!record.previous_password_hash,
+    connected: !!device?.socket,
+    created_at: record.created_at,
+    rotated_at: record.rotated_at || null,
+    revoked_at: record.revoked_at || null,
+    last_auth_at: record.last_auth_at || null
+  };
+}
+
+// Give a station a new AuthorizationKey. The old one stays valid until the station logs in with the
+// new one, so a charger that never applied the ChangeConfiguration is not locked out.
+async function setStationPassword(record, password) {
+  if (record.password_hash && !record.revoked) {
+    record.previous_salt = record.salt;
+    record.previous_password_hash = record.password_hash;
+  }
+  record.salt = randomToken(16);
+  record.password_hash = await hashPassword(password, record.salt);
+  record.revoked = false;
+  record.revoked_at = null;
+  stationRegistry.set(record.station_id, record);
+  await storage.set(['stations', record.station_id], record);
+}
+
+// Check the upgrade request of a charger. Returns null when it may connect, or a rejection
+// { status, reason } to answer with instead of upgrading.
+async function authorizeStation(req, url, stationId) {
+  const record = stationRegistry.get(stationId);
+  if (!record) {
+    return ALLOW_UNREGISTERED_STATIONS ? null : { status: 404, reason: 'Unknown station' };
+  }
+  if (record.revoked) return { status: 403, reason: 'Station credentials revoked' };
+
+  const secure = url.protocol === 'https:' || url.protocol === 'wss:' || req.headers.get('x-forwarded-proto') === 'https';
+  if (record.security_profile === 2 && !secure) {
+    return { status: 403, reason: 'Security Profile 2 requires TLS' };
+  }
+
+  const header = req.headers.get('authorization') || '';
+  if (!header.startsWith('Basic ')) return { status: 401, reason: 'Missing credentials' };
+
+  let username, password;
+  try {
+    const decoded = atob(header.slice(6));
+    const separator = decoded.indexOf(':');
+    username = decoded.slice(0, separator);
+    password = decoded.slice(separator + 1);
+  } catch (_error) {
+    return { status: 401, reason: 'Malformed credentials' };
+  }
+  if (username !== stationId) return { status: 401, reason: 'Username does not match station id' };
+
+  // Same credentials as last time and the key has not been rotated since: no need to hash again
+  const digest = await sha256(header);
+  const cached = stationAuthCache.get(stationId);
+  if (!cached || cached.password_hash !== record.password_hash || !digestsEqual(cached.digest, digest)) {
+    if (authThrottled(stationAuthFailures, stationId)) return { status: 429, reason: 'Too many failed attempts' };
+
+    if (digestsEqual(record.password_hash, await hashPassword(password, record.salt))) {
+      // The station is using the new key, the rotation is complete
+      delete record.previous_salt;
+      delete record.previous_password_hash;
+      stationAuthCache.set(stationId, { digest, password_hash: record.password_hash });
+      stationAuthFailures.delete(stationId);
+    } else if (!record.previous_password_hash ||
+      !digestsEqual(record.previous_password_hash, await hashPassword(password, record.previous_salt))) {
+      recordAuthFailure(stationAuthFailures, stationId);
+      return { status: 401, reason: 'Invalid credentials' };
+    }
+  }
+
+  record.last_auth_at = new Date().toISOString();
+  await storage.set(['stations', stationId], record);
+  return null;
+}
+
+// OCPP 1.6 connector status transitions (spec table 4.9), from -> allowed next states
+const CONNECTOR_TRANSITIONS = {
+  Available: ['Preparing', 'Charging', 'SuspendedEV', 'SuspendedEVSE', 'Reserved', 'Unavailable', 'Faulted'],
+  Preparing: ['Available', 'Charging', 'SuspendedEV', 'SuspendedEVSE', 'Finishing', 'Faulted'],
+  Charging: ['Available', 'SuspendedEV', 'SuspendedEVSE', 'Finishing', 'Unavailable', 'Faulted'],
+  SuspendedEV: ['Available', 'Charging', 'SuspendedEVSE', 'Finishing', 'Unavailable', 'Faulted'],
+  SuspendedEVSE: ['Available', 'Charging', 'SuspendedEV', 'Finishing', 'Unavailable', 'Faulted'],
+  Finishing: ['Available', 'Preparing', 'Unavailable', 'Faulted'],
+  Reserved: ['Available', 'Preparing', 'Unavailable', 'Faulted'],
+  Unavailable: ['Available', 'Preparing', 'Charging', 'SuspendedEV', 'SuspendedEVSE', 'Faulted'],
+  Faulted: ['Available', 'Preparing', 'Charging', 'SuspendedEV', 'SuspendedEVSE', 'Finishing', 'Reserved', 'Unavailable']
+};
+
+// Connector 0 is the charge point as a whole and only has these states
+const CHARGE_POINT_STATUSES = ['Available', 'Unavailable', 'Faulted'];
+
+// Connector states in which nothing can be charging, so an open session there is a ghost
+const IDLE_CONNECTOR_STATUSES = ['Available', 'Unavailable', 'Faulted', 'Reserved'];
+
+// Connector states in which 0 W is normal (car full, paused by the EV or the EVSE, plugging in)
+const PAUSED_CONNECTOR_STATUSES = ['Preparing', 'Charging', 'SuspendedEV', 'SuspendedEVSE', 'Occupied'];
+
+// Record a StatusNotification on the device's connector map. The charger stays the source of
+// truth, so an illegal transition is stored anyway but flagged and logged.
+function applyStatusNotification(device, payload) {
+  const connectorId = Number(payload.connectorId) || 0;
+  const status = payload.status;
+  const connectors = device.connectors || (device.connectors = {});
+  const previous = connectors[connectorId];
+
+  let valid = Object.hasOwn(CONNECTOR_TRANSITIONS, status);
+  if (valid && connectorId === 0) valid = CHARGE_POINT_STATUSES.includes(status);
+  if (valid && previous && previous.status !== status) {
+    valid = CONNECTOR_TRANSITIONS[previous.status]?.includes(status) ?? true;
+  }
+
+  const changed = !previous || previous.status !== status;
+  connectors[connectorId] = {
+    connector_id: connectorId,
+    status,
+    previous_status: changed ? previous?.status || null : previous.previous_status,
+    error_code: payload.errorCode || 'NoError',
+    info: payload.info || null,
+    vendor_id: payload.vendorId || null,
+    vendor_error_code: payload.vendorErrorCode || null,
+    timestamp: payload.timestamp || new Date().toISOString(),
+    since: changed ? new Date().toISOString() : previous.since,
+    valid_transition: valid
+  };
+
+  if (!valid) {
+    addLog(`⚠️ ${device.station_id} connector ${connectorId}: unexpected transition ${previous?.status || '(none)'} → ${status}`);
+  }
+  return connectors[connectorId];
+}
+
+// OCPP-J subprotocols this server speaks, in order of preference. Chargers that offer none are
+// assumed to be (older) OCPP 1.6 ones.
+const SUPPORTED_SUBPROTOCOLS = ['ocpp2.0.1', 'ocpp1.6'];
+const DEFAULT_SUBPROTOCOL = 'ocpp1.6';
+
+const METER_CONTEXTS = ['Interruption.Begin', 'Interruption.End', 'Sample.Clock', 'Sample.Periodic', 'Transaction.Begin', 'Transaction.End', 'Trigger', 'Other'];
+const METER_PHASES = ['L1', 'L2', 'L3', 'N', 'L1-N', 'L2-N', 'L3-N', 'L1-L2', 'L2-L3', 'L3-L1'];
+const METER_LOCATIONS = ['Cable', 'EV', 'Inlet', 'Outlet', 'Body'];
+
+// JSON schemas (subset of draft-04, mirroring the official OCPP 1.6 JSON schemas) for every CALL a
+// charge point may send. Anything not listed here is answered with NotImplemented.
+const dateTime = { type: 'string', format: 'date-time' };
+const ciString = (maxLength) => ({ type: 'string', maxLength });
+const METER_VALUE_SCHEMA = {
+  type: 'object',
+  required: ['timestamp', 'sampledValue'],
+  additionalProperties: false,
+  properties: {
+    timestamp: dateTime,
+    sampledValue: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['value'],
+        additionalProperties: false,
+        properties: {
+          value: { type: 'string' },
+          context: { enum: METER_CONTEXTS },
+          format: { enum: ['Raw', 'SignedData'] },
+          measurand: {
+            enum: [
+              'Energy.Active.Export.Register', 'Energy.Active.Import.Register', 'Energy.Reactive.Export.Register', 'Energy.Reactive.Import.Register',
+              'Energy.Active.Export.Interval', 'Energy.Active.Import.Interval', 'Energy.Reactive.Export.Interval', 'Energy.Reactive.Import.Interval',
+              'Power.Active.Export', 'Power.Active.Import', 'Power.Offered', 'Power.Reactive.Export', 'Power.Reactive.Import', 'Power.Factor',
+              'Current.Import', 'Current.Export', 'Current.Offered', 'Voltage', 'Frequency', 'Temperature', 'SoC', 'RPM'
+            ]
+          },
+          phase: { enum: METER_PHASES },
+          location: { enum: METER_LOCATIONS },
+          // 'Celcius' is the spelling in the official schema, 'Celsius' is what half the chargers send
+          unit: { enum: ['Wh', 'kWh', 'varh', 'kvarh', 'W', 'kW', 'VA', 'kVA', 'var', 'kvar', 'A', 'V', 'K', 'Celcius', 'Celsius', 'Fahrenheit', 'Percent'] }
+        }
+      }
+    }
+  }
+};
+const OCPP16_CALL_SCHEMAS = {
+  Authorize: {
+    type: 'object', required: ['idTag'], additionalProperties: false,
+    properties: { idTag: ciString(20) }
+  },
+  BootNotification: {
+    type: 'object', required: ['chargePointVendor', 'chargePointModel'], additionalProperties: false,
+    properties: {
+      chargePointVendor: ciString(20), chargePointModel: ciString(20), chargePointSerialNumber: ciString(25),
+      chargeBoxSerialNumber: ciString(25), firmwareVersion: ciString(50), iccid: ciString(20), imsi: ciString(20),
+      meterType: ciString(25), meterSerialNumber: ciString(25)
+    }
+  },
+  DataTransfer: {
+    type: 'object', required: ['vendorId'], additionalProperties: false,
+    properties: { vendorId: ciString(255), messageId: ciString(50), data: { type: 'string' } }
+  },
+  DiagnosticsStatusNotification: {
+    type: 'object', required: ['status'], additionalProperties: false,
+    properties: { status: { enum: ['Idle', 'Uploaded', 'UploadFailed', 'Uploading'] } }
+  },
+  FirmwareStatusNotification: {
+    type: 'object', required: ['status'], additionalProperties: false,
+    properties: { status: { enum: ['Downloaded', 'DownloadFailed', 'Downloading', 'Idle', 'InstallationFailed', 'Installing', 'Installed'] } }
+  },
+  Heartbeat: { type: 'object', additionalProperties: false, properties: {} },
+  MeterValues: {
+    type: 'object', required: ['connectorId', 'meterValue'], additionalProperties: false,
+    properties: {
+      connectorId: { type: 'integer', minimum: 0 },
+      transactionId: { type: 'integer' },
+      meterValue: { type: 'array', minItems: 1, items: METER_VALUE_SCHEMA }
+    }
+  },
+  StartTransaction: {
+    type: 'object', required: ['connectorId', 'idTag', 'meterStart', 'timestamp'], additionalProperties: false,
+    properties: {
+      connectorId: { type: 'integer', minimum: 1 }, idTag: ciString(20), meterStart: { type: 'integer' },
+      reservationId: { type: 'integer' }, timestamp: dateTime
+    }
+  },
+  StatusNotification: {
+    type: 'object', required: ['connectorId', 'errorCode', 'status'], additionalProperties: false,
+    properties: {
+      connectorId: { type: 'integer', minimum: 0 },
+      errorCode: {
+        enum: [
+          'ConnectorLockFailure', 'EVCommunicationError', 'GroundFailure', 'HighTemperature', 'InternalError', 'LocalListConflict',
+          'NoError', 'OtherError', 'OverCurrentFailure', 'PowerMeterFailure', 'PowerSwitchFailure', 'ReaderFailure', 'ResetFailure',
+          'UnderVoltage', 'OverVoltage', 'WeakSignal'
+        ]
+      },
+      info: ciString(50),
+      status: { enum: ['Available', 'Preparing', 'Charging', 'SuspendedEVSE', 'SuspendedEV', 'Finishing', 'Reserved', 'Unavailable', 'Faulted'] },
+      timestamp: dateTime,
+      vendorId: ciString(255),
+      vendorErrorCode: ciString(50)
+    }
+  },
+  StopTransaction: {
+    type: 'object', required: ['transactionId', 'timestamp', 'meterStop'], additionalProperties: false,
+    properties: {
+      idTag: ciString(20), meterStop: { type: 'integer' }, timestamp: dateTime, transactionId: { type: 'integer' },
+      reason: { enum: ['EmergencyStop', 'EVDisconnected', 'HardReset', 'Local', 'Other', 'PowerLoss', 'Reboot', 'Remote', 'SoftReset', 'UnlockCommand', 'DeAuthorized'] },
+      transactionData: { type: 'array', items: METER_VALUE_SCHEMA }
+    }
+  }
+};
+
+// OCPP 2.0.1 requests a charging station may send. Every 2.0.1 object may carry vendor `customData`,
+// so unknown properties are tolerated here instead of listing customData everywhere.
+const ID_TOKEN_SCHEMA = {
+  type: 'object', required: ['idToken', 'type'],
+  properties: {
+    idToken: ciString(36),
+    type: { enum: ['Central', 'eMAID', 'ISO14443', 'ISO15693', 'KeyCode', 'Local', 'MacAddress', 'NoAuthorization'] }
+  }
+};
+const EVSE_SCHEMA = {
+  type: 'object', required: ['id'],
+  properties: { id: { type: 'integer', minimum: 0 }, connectorId: { type: 'integer', minimum: 0 } }
+};
+const METER_VALUE_201_SCHEMA = {
+  type: 'object', required: ['timestamp', 'sampledValue'],
+  properties: {
+    timestamp: dateTime,
+    sampledValue: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object', required: ['value'],
+        properties: {
+          value: { type: 'number' },
+          context: { enum: METER_CONTEXTS },
+          measurand: {
+            enum: [
+              'Current.Export', 'Current.Import', 'Current.Offered', 'Energy.Active.Export.Register', 'Energy.Active.Import.Register',
+              'Energy.Reactive.Export.Register', 'Energy.Reactive.Import.Register', 'Energy.Active.Export.Interval',
+              'Energy.Active.Import.Interval', 'Energy.Active.Net', 'Energy.Reactive.Export.Interval', 'Energy.Reactive.Import.Interval',
+              'Energy.Reactive.Net', 'Energy.Apparent.Net', 'Energy.Apparent.Import', 'Energy.Apparent.Export', 'Frequency',
+              'Power.Active.Export', 'Power.Active.Import', 'Power.Factor', 'Power.Offered', 'Power.Reactive.Export',
+              'Power.Reactive.Import', 'SoC', 'Voltage'
+            ]
+          },
+          phase: { enum: METER_PHASES },
+          location: { enum: METER_LOCATIONS },
+          unitOfMeasure: { type: 'object', properties: { unit: ciString(20), multiplier: { type: 'integer' } } }
+        }
+      }
+    }
+  }
+};
+const OCPP201_CALL_SCHEMAS = {
+  Authorize: {
+    type: 'object', required: ['idToken'],
+    properties: { idToken: ID_TOKEN_SCHEMA, certificate: ciString(5500) }
+  },
+  BootNotification: {
+    type: 'object', required: ['chargingStation', 'reason'],
+    properties: {
+      chargingStation: {
+        type: 'object', required: ['model', 'vendorName'],
+        properties: {
+          model: ciString(20), vendorName: ciString(50), serialNumber: ciString(25), firmwareVersion: ciString(50),
+          modem: { type: 'object', properties: { iccid: ciString(20), imsi: ciString(20) } }
+        }
+      },
+      reason: { enum: ['ApplicationReset', 'FirmwareUpdate', 'LocalReset', 'PowerUp', 'RemoteReset', 'ScheduledReset', 'Triggered', 'Unknown', 'Watchdog'] }
+    }
+  },
+  DataTransfer: {
+    type: 'object', required: ['vendorId'],
+    properties: { vendorId: ciString(255), messageId: ciString(50) }
+  },
+  FirmwareStatusNotification: {
+    type: 'object', required: ['status'],
+    properties: { status: { type: 'string' }, requestId: { type: 'integer' } }
+  },
+  Heartbeat: { type: 'object', properties: {} },
+  LogStatusNotification: {
+    type: 'object', required: ['status'],
+    properties: { status: { type: 'string' }, requestId: { type: 'integer' } }
+  },
+  MeterValues: {
+    type: 'object', required: ['evseId', 'meterValue'],
+    properties: { evseId: { type: 'integer', minimum: 0 }, meterValue: { type: 'array', minItems: 1, items: METER_VALUE_201_SCHEMA } }
+  },
+  NotifyEvent: {
+    type: 'object', required: ['generatedAt', 'seqNo', 'eventData'],
+    properties: { generatedAt: dateTime, seqNo: { type: 'integer', minimum: 0 }, tbc: { type: 'boolean' }, eventData: { type: 'array', minItems: 1 } }
+  },
+  NotifyReport: {
+    type: 'object', required: ['requestId', 'generatedAt', 'seqNo'],
+    properties: {
+      requestId: { type: 'integer' },
+      generatedAt: dateTime,
+      tbc: { type: 'boolean' },
+      seqNo: { type: 'integer', minimum: 0 },
+      reportData: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object', required: ['component', 'variable', 'variableAttribute'],
+          properties: {
+            component: { type: 'object', required: ['name'], properties: { name: ciString(50), instance: ciString(50), evse: EVSE_SCHEMA } },
+            variable: { type: 'object', required: ['name'], properties: { name: ciString(50), instance: ciString(50) } },
+            variableAttribute: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                properties: {
+                  type: { enum: ['Actual', 'Target', 'MinSet', 'MaxSet'] },
+                  value: ciString(2500),
+                  mutability: { enum: ['ReadOnly', 'WriteOnly', 'ReadWrite'] },
+                  persistent: { type: 'boolean' },
+                  constant: { type: 'boolean' }
+                }
+              }
+            },
+            variableCharacteristics: { type: 'object' }
+          }
+        }
+      }
+    }
+  },
+  ReservationStatusUpdate: {
+    type: 'object', required: ['reservationId', 'reservationUpdateStatus'],
+    properties: { reservationId: { type: 'integer' }, reservationUpdateStatus: { enum: ['Expired', 'Removed'] } }
+  },
+  SecurityEventNotification: {
+    type: 'object', required: ['type', 'timestamp'],
+    properties: { type: ciString(50), timestamp: dateTime, techInfo: ciString(255) }
+  },
+  StatusNotification: {
+    type: 'object', required: ['timestamp', 'connectorStatus', 'evseId', 'connectorId'],
+    properties: {
+      timestamp: dateTime,
+      connectorStatus: { enum: ['Available', 'Occupied', 'Reserved', 'Unavailable', 'Faulted'] },
+      evseId: { type: 'integer', minimum: 0 },
+      connectorId: { type: 'integer', minimum: 0 }
+    }
+  },
+  TransactionEvent: {
+    type: 'object', required: ['eventType', 'timestamp', 'triggerReason', 'seqNo', 'transactionInfo'],
+    properties: {
+      eventType: { enum: ['Started', 'Updated', 'Ended'] },
+      timestamp: dateTime,
+      triggerReason: {
+        enum: [
+          'Authorized', 'CablePluggedIn', 'ChargingRateChanged', 'ChargingStateChanged', 'Deauthorized', 'EnergyLimitReached',
+          'EVCommunicationLost', 'EVConnectTimeout', 'MeterValueClock', 'MeterValuePeriodic', 'TimeLimitReached', 'Trigger',
+          'UnlockCommand', 'StopAuthorized', 'EVDeparted', 'EVDetected', 'RemoteStop', 'RemoteStart', 'AbnormalCondition',
+          'SignedDataReceived', 'ResetCommand'
+        ]
+      },
+      seqNo: { type: 'integer', minimum: 0 },
+      offline: { type: 'boolean' },
+      numberOfPhasesUsed: { type: 'integer' },
+      cableMaxCurrent: { type: 'integer' },
+      reservationId: { type: 'integer' },
+      transactionInfo: {
+        type: 'object', required: ['transactionId'],
+        properties: {
+          transactionId: ciString(36),
+          chargingState: { enum: ['Charging', 'EVConnected', 'SuspendedEV', 'SuspendedEVSE', 'Idle'] },
+          timeSpentCharging: { type: 'integer' },
+          stoppedReason: {
+            enum: [
+              'DeAuthorized', 'EmergencyStop', 'EnergyLimitReached', 'EVDisconnected', 'GroundFault', 'ImmediateReset', 'Local',
+              'LocalOutOfCredit', 'MasterPass', 'Other', 'OvercurrentFault', 'PowerLoss', 'PowerQuality', 'Reboot', 'Remote',
+              'SOCLimitReached', 'StoppedByEV', 'TimeLimitReached', 'Timeout'
+            ]
+          },
+          remoteStartId: { type: 'integer' }
+        }
+      },
+      idToken: ID_TOKEN_SCHEMA,
+      evse: EVSE_SCHEMA,
+      meterValue: { type: 'array', minItems: 1, items: METER_VALUE_201_SCHEMA }
+    }
+  }
+};
+
+const CALL_SCHEMAS = { 'ocpp1.6': OCPP16_CALL_SCHEMAS, 'ocpp2.0.1': OCPP201_CALL_SCHEMAS };
+
+// OCPP 2.0.1 renamed two error codes (and fixed the spelling of one)
+const OCPP201_ERROR_CODES = {
+  FormationViolation: 'FormatViolation',
+  OccurenceConstraintViolation: 'OccurrenceConstraintViolation'
+};
+
+// An OCPP-J CALLERROR to answer with, thrown by the validators and caught in onmessage
+class OcppError extends Error {
+  constructor(code, description, details = {}) {
+    super(description);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Validate a value against one of the schemas above, throwing the CALLERROR code the OCPP-J spec
+// prescribes: missing fields are a ProtocolError, wrong types a TypeConstraintViolation, bad values
+// a PropertyConstraintViolation and wrong array sizes an OccurenceConstraintViolation (sic).
+function validateSchema(schema, value, path = '') {
+  const where = path || 'payload';
+
+  if (schema.type) {
+    const actual = jsonType(value);
+    const matches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+    if (!matches) throw new OcppError('TypeConstraintViolation', `${where} must be ${schema.type}, got ${actual}`, { path: where });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    throw new OcppError('PropertyConstraintViolation', `${where} must be one of ${schema.enum.join(', ')}`, { path: where });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      throw new OcppError('PropertyConstraintViolation', `${where} exceeds ${schema.maxLength} characters`, { path: where });
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      throw new OcppError('PropertyConstraintViolation', `${where} is not a valid date-time`, { path: where });
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    throw new OcppError('PropertyConstraintViolation', `${where} must be at least ${schema.minimum}`, { path: where });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      throw new OcppError('OccurenceConstraintViolation', `${where} needs at least ${schema.minItems} item(s)`, { path: where });
+    }
+    if (schema.items) value.forEach((item, i) => validateSchema(schema.items, item, `${where}[${i}]`));
+  }
+
+  if (jsonType(value) === 'object' && schema.properties) {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        throw new OcppError('ProtocolError', `${path ? path + '.' : ''}${field} is required`, { path: `${path ? path + '.' : ''}${field}` });
+      }
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldPath = `${path ? path + '.' : ''}${field}`;
+      const fieldSchema = schema.properties[field];
+      if (!fieldSchema) {
+        if (schema.additionalProperties === false) {
+          throw new OcppError('FormationViolation', `${fieldPath} is not allowed`, { path: fieldPath });
+        }
+        continue;
+      }
+      validateSchema(fieldSchema, fieldValue, fieldPath);
+    }
+  }
+}
+
+// Parse and check one OCPP-J frame of the given subprotocol. Returns { messageType, messageId, action,
+// payload } or throws an OcppError (FormationViolation for a broken frame, NotImplemented for an
+// unknown action, ...).
+function parseOcppFrame(data, protocol = DEFAULT_SUBPROTOCOL) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (_error) {
+    throw new OcppError('FormationViolation', 'Message is not valid JSON');
+  }
+  if (!Array.isArray(message) || ![CALL, CALLRESULT, CALLERROR].includes(message[0])) {
+    throw new OcppError('FormationViolation', 'Message must be an array starting with MessageTypeId 2, 3 or 4');
+  }
+
+  const [messageType, messageId] = message;
+  if (typeof messageId !== 'string' || messageId.length === 0 || messageId.length > 36) {
+    throw new OcppError('FormationViolation', 'UniqueId must be a string of at most 36 characters');
+  }
+
+  if (messageType === CALLRESULT) {
+    if (message.length !== 3 || jsonType(message[2]) !== 'object') {
+      throw new OcppError('FormationViolation', 'CALLRESULT must be [3, UniqueId, Payload]', { messageId, messageType });
+    }
+    return { messageType, messageId, payload: message[2] };
+  }
+
+  if (messageType === CALLERROR) {
+    if (message.length !== 5 || typeof message[2] !== 'string') {
+      throw new OcppError('FormationViolation', 'CALLERROR must be [4, UniqueId, ErrorCode, ErrorDescription, ErrorDetails]', { messageId, messageType });
+    }
+    return { messageType, messageId, errorCode: message[2], errorDescription: message[3], errorDetails: message[4] };
+  }
+
+  const [, , action, payload] = message;
+  if (message.length !== 4 || typeof action !== 'string' || jsonType(payload) !== 'object') {
+    throw new OcppError('FormationViolation', 'CALL must be [2, UniqueId, Action, Payload]', { messageId });
+  }
+  const schema = CALL_SCHEMAS[protocol][action];
+  if (!schema) {
+    throw new OcppError('NotImplemented', `Action ${action} is not implemented`, { messageId });
+  }
+  try {
+    validateSchema(schema, payload);
+  } catch (error) {
+    error.details = { ...error.details, messageId, action };
+    throw error;
+  }
+  return { messageType, messageId, action, payload };
+}
+
+// Station status reported to the bridge per connector status (1.6 and 2.0.1 names)
+const BRIDGE_STATION_STATUS = {
+  'Available': 'available',
+  'Charging': 'charging',
+  'Occupied': 'charging',
+  'Faulted': 'error',
+  'Unavailable': 'offline'
+};
+
+// BootNotification bookkeeping shared by both protocol versions
+function recordBoot(stationId, info) {
+  const device = connectedDevices.get(stationId);
+  if (device) {
+    Object.assign(device, info);
+    device.booted_at = new Date().toISOString();
+    device.status = 'online';
+    saveState();
+    emitDeviceEvent(stationId, 'booted');
+  }
+  // After the BootNotification answer has gone out: read the 1.6 configuration and enforce templates,
+  // then confirm or deliver firmware updates. One call at a time, as OCPP-J expects.
+  if (device) {
+    setTimeout(async () => {
+      try {
+        if (device.ocpp_protocol !== 'ocpp2.0.1') await syncConfiguration(stationId);
+        await resumeFirmwareRollouts(stationId);
+      } catch (error) {
+        console.error('Post-boot sync error:', error);
+      }
+    }, 0);
+  }
+  publishEvent('station.registered', stationId, {
+    name: `Station ${stationId}`,
+    location: 'Auto-registered',
+    status: 'available',
+    vendor: info.vendor,
+    model: info.model,
+    firmware: info.firmware
+  });
+}
+
+function recordHeartbeat(stationId) {
+  const device = connectedDevices.get(stationId);
+  if (device) {
+    device.last_heartbeat_at = new Date().toISOString();
+    saveState(); // so last_seen_at survives a restart, see loadConnectionHistory
+  }
+  publishEvent('station.updated', stationId, { last_heartbeat: new Date().toISOString() });
+}
+
+// Any inbound frame proves the station is alive; one the monitor marked offline comes back online
+function recordActivity(stationId) {
+  deviceLastSeen.set(stationId, Date.now());
+  const device = connectedDevices.get(stationId);
+  if (!device) return;
+  device.last_seen_at = new Date().toISOString();
+  if (device.status === 'offline' && device.socket) {
+    const offlineSince = connectionHistory.get(stationId)?.findLast(e => e.event === 'offline')?.at;
+    device.status = 'online';
+    recordConnectionEvent(stationId, 'online', { duration_s: offlineSince ? Math.round((Date.now() - new Date(offlineSince)) / 1000) : null });
+    addLog(`✅ Device ${stationId} back ONLINE`);
+    emitDeviceEvent(stationId, 'online');
+  }
+}
+
+// HeartbeatInterval the station is configured with (1.6 configuration or 2.0.1 device model), if read
+function configuredHeartbeatInterval(device) {
+  const value = device?.ocpp_protocol === 'ocpp2.0.1' ?
+    deviceModels.get(device.station_id)?.get('OCPPCommCtrlr/HeartbeatInterval')?.attributes.Actual?.value :
+    device?.configuration?.HeartbeatInterval?.value;
+  return parseInt(value) > 0 ? parseInt(value) : null;
+}
+
+// Seconds between heartbeats the station should be keeping: its configuration, else what BootNotification said
+function heartbeatIntervalOf(device) {
+  return configuredHeartbeatInterval(device) || device?.heartbeat_interval || HEARTBEAT_INTERVAL_S;
+}
+
+// Connection history. duration_s is the length of what the event ends: the connection for
+// 'disconnected', the downtime for 'reconnected' and 'online', the silence for 'offline'.
+function recordConnectionEvent(stationId, event, { duration_s = null, detail = null } = {}) {
+  const history = connectionHistory.get(stationId) || [];
+  connectionHistory.set(stationId, history);
+  history.push({ event, at: new Date().toISOString(), duration_s, detail });
+  if (history.length > CONNECTION_HISTORY_LIMIT) history.splice(0, history.length - CONNECTION_HISTORY_LIMIT);
+  storage.set(['connection_history', stationId], history)
+    .catch(error => console.error('❌ Failed to save connection history:', error.message));
+}
+
+// Restored devices all start disconnected, but the history of a station that was connected when the
+// server stopped still ends "up". Close it at the last time the station was seen.
+async function loadConnectionHistory() {
+  for (const { key, value } of await storage.list(['connection_history'])) {
+    const last = value.at(-1);
+    if (last && UP_CONNECTION_EVENTS.includes(last.event)) {
+      const device = connectedDevices.get(key[1]);
+      const at = device?.last_seen_at > last.at ? device.last_seen_at : last.at;
+      const since = device?.connected_at || last.at;
+      value.push({ event: 'disconnected', at, duration_s: Math.max(0, Math.round((new Date(at) - new Date(since)) / 1000)), detail: 'Server restart' });
+    }
+    connectionHistory.set(key[1], value);
+  }
+  console.log(`✅ Loaded connection history of ${connectionHistory.size} stations`);
+}
+
+// 3725 -> "1h 2m"
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Share of the window the station was connected and online. Time before its first recorded event
+// counts neither way, so a station added yesterday isn't penalised for last week.
+function uptimeStats(stationId, windowMs) {
+  const history = connectionHistory.get(stationId) || [];
+  if (!history.length) return null;
+  const now = Date.now();
+  const from = now - windowMs;
+  let up = 0;
+  let observed = 0;
+  for (const [i, entry] of history.entries()) {
+    const start = Math.max(new Date(entry.at).getTime(), from);
+    const end = i + 1 < history.length ? new Date(history[i + 1].at).getTime() : now;
+    if (end <= start) continue;
+    observed += end - start;
+    if (UP_CONNECTION_EVENTS.includes(entry.event)) up += end - start;
+  }
+  const inWindow = history.filter(e => new Date(e.at) >= from);
+  return {
+    uptime_percent: observed ? Math.round(up / observed * 1000) / 10 : null,
+    up_s: Math.round(up / 1000),
+    observed_s: Math.round(observed / 1000),
+    disconnects: inWindow.filter(e => e.event === 'disconnected').length,
+    offline_events: inWindow.filter(e => e.event === 'offline').length
+  };
+}
+
+// OCPP 1.6 configuration keys, read with GetConfiguration and stored on the device as
+// device.configuration = { key: { value, readonly } }. 2.0.1 stations have the device model instead.
+async function fetchConfiguration(stationId, keys = [], requestedBy = 'system') {
+  const request = sendCall(stationId, 'GetConfiguration', keys.length ? { key: keys } : {}, COMMAND_TIMEOUT_MS, requestedBy);
+  if (!request) return null;
+  await request.done;
+
+  const device = connectedDevices.get(stationId);
+  if (device && request.status === 'completed') {
+    // A full read replaces the stored keys, a partial one only updates what was asked for
+    const configuration = keys.length ? { ...(device.configuration || {}) } : {};
+    for (const { key, value, readonly } of request.response.configurationKey || []) {
+      configuration[key] = { value: value ?? null, readonly: !!readonly };
+    }
+    device.configuration = configuration;
+    device.configuration_unknown_keys = request.response.unknownKey || [];
+    device.configuration_fetched_at = new Date().toISOString();
+    saveState();
+    addLog(`⚙️ Read ${Object.keys(configuration).length} configuration keys from ${stationId}`);
+  }
+  return request;
+}
+
+// ChangeConfiguration; the stored value follows when the charger says Accepted or RebootRequired
+async function changeConfiguration(stationId, key, value, requestedBy = 'system') {
+  const request = sendCall(stationId, 'ChangeConfiguration', { key, value: String(value) }, COMMAND_TIMEOUT_MS, requestedBy);
+  if (!request) return null;
+  await request.done;
+
+  const status = request.status === 'completed' ? request.response?.status : request.status;
+  const device = connectedDevices.get(stationId);
+  if (device && (status === 'Accepted' || status === 'RebootRequired')) {
+    const entry = { readonly: false, ...device.configuration?.[key], value: String(value) };
+    if (status === 'RebootRequired') entry.reboot_required = true;
+    else delete entry.reboot_required;
+    device.configuration = { ...device.configuration, [key]: entry };
+    saveState();
+  }
+  addLog(`⚙️ ${stationId} ${key} = ${value}: ${status}`);
+  return request;
+}
+
+function templatesFor(stationId) {
+  return Array.from(configTemplates.values()).filter(t => t.stations.includes(stationId));
+}
+
+// Push the settings of one template to a station, skipping keys that already have the value.
+// Returns { key: status } with the charger's answer (or Unchanged / NotSupported / offline).
+async function applyTemplate(template, stationId, requestedBy = 'system') {
+  const device = connectedDevices.get(stationId);
+  const results = {};
+  for (const [key, value] of Object.entries(template.settings)) {
+    if (!device?.socket || device.status === 'offline') {
+      results[key] = 'StationOffline';
+    } else if (device.ocpp_protocol === 'ocpp2.0.1') {
+      results[key] = 'NotSupported';
+    } else if (device.configuration?.[key]?.value === String(value)) {
+      results[key] = 'Unchanged';
+    } else {
+      const request = await changeConfiguration(stationId, key, value, requestedBy);
+      results[key] = !request ? 'StationOffline' : request.status === 'completed' ? request.response?.status : request.status;
+    }
+  }
+  return results;
+}
+
+// Runs after every 1.6 boot
+async function syncConfiguration(stationId) {
+  await fetchConfiguration(stationId);
+  for (const template of templatesFor(stationId).filter(t => t.apply_on_boot)) {
+    const results = await applyTemplate(template, stationId);
+    const changed = Object.entries(results).filter(([, status]) => status !== 'Unchanged');
+    if (changed.length) addLog(`⚙️ Template ${template.template_id} on ${stationId}: ${changed.map(([key, status]) => `${key} ${status}`).join(', ')}`);
+  }
+}
+
+async function loadConfigTemplates() {
+  for (const { value } of await storage.list(['config_templates'])) configTemplates.set(value.template_id, value);
+  console.log(`✅ Loaded ${configTemplates.size} configuration templates`);
+}
+
+function validateTemplate(body) {
+  if (!body.settings || typeof body.settings !== 'object' || Array.isArray(body.settings)) {
+    return 'settings must be an object of configuration key -> value';
+  }
+  for (const [key, value] of Object.entries(body.settings)) {
+    if (key.length > 50) return `Configuration key ${key} is longer than 50 characters`;
+    if (value === null || typeof value === 'object' || String(value).length > 500) return `Value of ${key} must be a string of at most 500 characters`;
+  }
+  if (body.stations !== undefined && !Array.isArray(body.stations)) return 'stations must be an array of station IDs';
+  return null;
+}
+
+// Firmware rollouts and diagnostics. Every station in a rollout, and every diagnostics request, gets
+// its own token in the URL handed to the charger, so chargers need no credentials and we know who
+// fetched what. A rollout target moves Pending -> Scheduled -> the charger's FirmwareStatusNotification
+// statuses -> Succeeded once the station boots with the new version (or Failed).
+const FIRMWARE_FAILED_STATUSES = ['DownloadFailed', 'InstallationFailed', 'InstallVerificationFailed', 'InvalidSignature'];
+const FIRMWARE_DONE_STATUSES = ['Succeeded', 'Failed', 'Rejected', 'Cancelled', ...FIRMWARE_FAILED_STATUSES];
+const SAFE_FILE_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+async function loadFirmware() {
+  await Deno.mkdir(FIRMWARE_DIR, { recursive: true });
+  await Deno.mkdir(DIAGNOSTICS_DIR, { recursive: true });
+  for (const { value } of await storage.list(['firmware', 'files'])) firmwareFiles.set(value.name, value);
+  for (const { value } of await storage.list(['firmware', 'rollouts'])) firmwareRollouts.set(value.rollout_id, value);
+  for (const { value } of await storage.list(['diagnostics'])) diagnosticsRequests.set(value.request_id, value);
+  console.log(`✅ Loaded ${firmwareFiles.size} firmware files, ${firmwareRollouts.size} rollouts, ${diagnosticsRequests.size} diagnostics requests`);
+}
+
+// Copy an upload to disk chunk by chunk. Chunked uploads carry no Content-Length, so the size is
+// only known while reading; past MAX_UPLOAD_BYTES the partial file is removed and null returned.
+async function writeUpload(stream, path) {
+  let size = 0;
+  const limit = new TransformStream({
+    transform(chunk, controller) {
+      size += chunk.length;
+      if (size > MAX_UPLOAD_BYTES) controller.error(new Error('Upload too large'));
+      else controller.enqueue(chunk);
+    }
+  });
+  const file = await Deno.open(path, { write: true, create: true, truncate: true });
+  try {
+    await stream.pipeThrough(limit).pipeTo(file.writable);
+    return size;
+  } catch (error) {
+    await Deno.remove(path).catch(() => {});
+    if (size > MAX_UPLOAD_BYTES) return null;
+    throw error;
+  }
+}
+
+function publicBaseUrl(req, url) {
+  if (PUBLIC_URL) return PUBLIC_URL.replace(/\/$/, '');
+  const proto = req.headers.get('x-forwarded-proto') || url.protocol.slice(0, -1);
+  return `${proto}://${req.headers.get('x-forwarded-host') || url.host}`;
+}
+
+function saveRollout(rollout) {
+  storage.set(['firmware', 'rollouts', rollout.rollout_id], rollout)
+    .catch(error => console.error('❌ Failed to save rollout:', error.message));
+}
+
+function setTargetStatus(rollout, stationId, status, detail = null) {
+  const target = rollout.stations[stationId];
+  const at = new Date().toISOString();
+  target.status = status;
+  target.updated_at = at;
+  target.history.push(detail ? { status, at, detail } : { status, at });
+  if (target.history.length > 50) target.history.shift();
+  saveRollout(rollout);
+}
+
+// Counts per target status, for listings
+function rolloutSummary(rollout) {
+  const counts = {};
+  for (const target of Object.values(rollout.stations)) counts[target.status] = (counts[target.status] || 0) + 1;
+  const { stations: _stations, ...info } = rollout;
+  return { ...info, counts, done: Object.values(rollout.stations).every(t => FIRMWARE_DONE_STATUSES.includes(t.status)) };
+}
+
+// Send UpdateFirmware to one station of a rollout. Offline stations stay Offline and get it when they boot.
+async function sendFirmwareUpdate(rollout, stationId, requestedBy = 'system') {
+  const device = connectedDevices.get(stationId);
+  const target = rollout.stations[stationId];
+  const location = `${rollout.base_url}/firmware/download/${target.token}/${encodeURIComponent(rollout.file)}`;
+  const retrieveDate = rollout.retrieve_date && new Date(rollout.retrieve_date) > new Date() ? rollout.retrieve_date : new Date().toISOString();
+  const retry = {
+    ...(rollout.retries !== null ? { retries: rollout.retries } : {}),
+    ...(rollout.retry_interval !== null ? { retryInterval: rollout.retry_interval } : {})
+  };
+  const payload = device?.ocpp_protocol === 'ocpp2.0.1' ?
+    { requestId: target.request_id, firmware: { location, retrieveDateTime: retrieveDate }, ...retry } :
+    { location, retrieveDate, ...retry };
+
+  const request = sendCall(stationId, 'UpdateFirmware', payload, COMMAND_TIMEOUT_MS, requestedBy);
+  if (!request) {
+    if (target.status !== 'Offline') setTargetStatus(rollout, stationId, 'Offline');
+    return;
+  }
+  target.previous_firmware = device.firmware || null;
+  await request.done;
+
+  // 1.6 answers with an empty object, 2.0.1 with a status
+  const answer = request.response?.status;
+  if (request.status !== 'completed') {
+    setTargetStatus(rollout, stationId, 'Offline', request.error?.code || request.status);
+  } else if (answer && answer !== 'Accepted') {
+    setTargetStatus(rollout, stationId, 'Rejected', answer);
+  } else {
+    setTargetStatus(rollout, stationId, 'Scheduled', `retrieve ${retrieveDate}`);
+  }
+  addLog(`📦 UpdateFirmware ${rollout.file} to ${stationId}: ${rollout.stations[stationId].status}`);
+}
+
+// The rollout a FirmwareStatusNotification belongs to: by requestId on 2.0.1, else the newest unfinished one
+function activeFirmwareTarget(stationId, requestId) {
+  const rollouts = Array.from(firmwareRollouts.values()).reverse();
+  for (const rollout of rollouts) {
+    const target = rollout.stations[stationId];
+    if (!target || FIRMWARE_DONE_STATUSES.includes(target.status)) continue;
+    if (requestId !== undefined && target.request_id !== requestId) continue;
+    return rollout;
+  }
+  return null;
+}
+
+function recordFirmwareStatus(stationId, status, requestId) {
+  const device = connectedDevices.get(stationId);
+  if (device) {
+    device.firmware_status = { status, at: new Date().toISOString() };
+    saveState();
+  }
+  const rollout = activeFirmwareTarget(stationId, requestId);
+  // Idle is the answer to a TriggerMessage when nothing is going on
+  if (rollout && status !== 'Idle') setTargetStatus(rollout, stationId, status);
+  addLog(`📦 ${stationId} firmware: ${status}${rollout ? ` (rollout ${rollout.rollout_id})` : ''}`);
+}
+
+// After a boot: confirm installs from the reported version, and deliver rollouts the station missed
+async function resumeFirmwareRollouts(stationId) {
+  const device = connectedDevices.get(stationId);
+  for (const rollout of firmwareRollouts.values()) {
+    const target = rollout.stations[stationId];
+    if (!target || FIRMWARE_DONE_STATUSES.includes(target.status)) continue;
+
+    if (['Pending', 'Offline'].includes(target.status)) {
+      await sendFirmwareUpdate(rollout, stationId);
+      continue;
+    }
+    const installed = rollout.version ? device.firmware === rollout.version :
+      target.previous_firmware !== null && device.firmware !== target.previous_firmware;
+    if (installed) {
+      target.firmware = device.firmware;
+      setTargetStatus(rollout, stationId, 'Succeeded', `booted with ${device.firmware}`);
+      addLog(`📦 ${stationId} now runs ${device.firmware} (rollout ${rollout.rollout_id})`);
+    } else if (['Installed', 'InstallRebooting'].includes(target.status)) {
+      setTargetStatus(rollout, stationId, 'Failed', `booted with ${device.firmware}${rollout.version ? `, expected ${rollout.version}` : ''}`);
+      addLog(`⚠️ ${stationId} rebooted with ${device.firmware} after installing ${rollout.file}`);
+    }
+  }
+}
+
+// GetDiagnostics (1.6) or GetLog (2.0.1) with a one-off upload URL on this server
+async function requestDiagnostics(stationId, { start_time, stop_time, retries }, baseUrl, requestedBy) {
+  const device = connectedDevices.get(stationId);
+  const record = {
+    request_id: String(nextRequestId()),
+    station_id: stationId,
+    token: randomToken(),
+    status: 'Requested',
+    requested_by: requestedBy,
+    requested_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + DIAGNOSTICS_UPLOAD_TTL_MS).toISOString(),
+    file_name: null,
+    upload: null,
+    history: []
+  };
+  const location = `${baseUrl}/diagnostics/upload/${record.token}`;
+  const payload = device?.ocpp_protocol === 'ocpp2.0.1' ? {
+    logType: 'DiagnosticsLog',
+    requestId: parseInt(record.request_id),
+    log: { remoteLocation: location, ...(start_time ? { oldestTimestamp: start_time } : {}), ...(stop_time ? { latestTimestamp: stop_time } : {}) },
+    ...(retries !== undefined ? { retries } : {})
+  } : {
+    location,
+    ...(start_time ? { startTime: start_time } : {}),
+    ...(stop_time ? { stopTime: stop_time } : {}),
+    ...(retries !== undefined ? { retries } : {})
+  };
+
+  const request = sendCall(stationId, device?.ocpp_protocol === 'ocpp2.0.1' ? 'GetLog' : 'GetDiagnostics', payload, COMMAND_TIMEOUT_MS, requestedBy);
+  if (!request) return null;
+  await request.done;
+
+  if (request.status !== 'completed') {
+    record.status = 'Failed';
+  } else if (request.response.status && !['Accepted', 'AcceptedCanceled'].includes(request.response.status)) {
+    record.status = 'Rejected';
+  } else {
+    record.file_name = request.response.fileName || request.response.filename || null;
+    // A 1.6 charger leaves fileName out when it has nothing to upload
+    record.status = record.file_name || request.response.status ? 'Accepted' : 'NoDiagnostics';
+  }
+  record.history.push({ status: record.status, at: new Date().toISOString() });
+  diagnosticsRequests.set(record.request_id, record);
+  await storage.set(['diagnostics', record.request_id], record);
+  addLog(`🩺 Diagnostics from ${stationId}: ${record.status}${record.file_name ? ` (${record.file_name})` : ''}`);
+  return { request, record };
+}
+
+function latestDiagnostics(stationId, requestId) {
+  return Array.from(diagnosticsRequests.values())
+    .filter(d => d.station_id === stationId && (requestId === undefined || d.request_id === String(requestId)))
+    .sort((a, b) => b.requested_at.localeCompare(a.requested_at))[0] || null;
+}
+
+function recordDiagnosticsStatus(stationId, status, requestId) {
+  const record = latestDiagnostics(stationId, requestId);
+  if (record && status !== 'Idle') {
+    record.status = status;
+    record.history.push({ status, at: new Date().toISOString() });
+    storage.set(['diagnostics', record.request_id], record)
+      .catch(error => console.error('❌ Failed to save diagnostics request:', error.message));
+  }
+  addLog(`🩺 ${stationId} diagnostics: ${status}`);
+}
+
+function diagnosticsSummary(record) {
+  const { token: _token, ...info } = record;
+  return info;
+}
+
+// Reservations. ReserveNow holds a connector for one idTag until expiry_date. A reservation the charger
+// accepted stays Active until a transaction starts on it (Used), it is cancelled, or it expires; 1.6
+// chargers drop expired reservations without telling us, so expiry is also tracked here.
+async function loadReservations() {
+  for (const { value } of await storage.list(['reservations'])) reservations.set(value.reservation_id, value);
+  console.log(`✅ Loaded ${reservations.size} reservations`);
+}
+
+function setReservationStatus(reservation, status, detail = null) {
+  const at = new Date().toISOString();
+  reservation.status = status;
+  reservation.updated_at = at;
+  reservation.history.push(detail ? { status, at, detail } : { status, at });
+  storage.set(['reservations', reservation.reservation_id], reservation)
+    .catch(error => console.error('❌ Failed to save reservation:', error.message));
+  addLog(`📅 Reservation ${reservation.reservation_id} on ${reservation.station_id} Port ${reservation.connector_id}: ${status}${detail ? ` (${detail})` : ''}`);
+  emitDeviceEvent(reservation.station_id, 'reservation', reservation.connector_id);
+}
+
+// The reservation holding a connector. Connector 0 is a 1.6 reservation for whichever connector is free.
+function activeReservation(stationId, connectorId) {
+  return Array.from(reservations.values()).find(r => r.station_id === stationId && r.status === 'Active' &&
+    new Date(r.expiry_date) > Date.now() && (connectorId === 0 || r.connector_id === 0 || r.connector_id === connectorId)) || null;
+}
+
+async function reserveNow(stationId, { connector_id, id_tag, expiry_date }, requestedBy) {
+  const device = connectedDevices.get(stationId);
+  const reservation = {
+    reservation_id: String(nextRequestId()),
+    station_id: stationId,
+    connector_id,
+    id_tag,
+    parent_id_tag: parentIdTagOf(id_tag),
+    expiry_date,
+    status: 'Requested',
+    transaction_id: null,
+    requested_by: requestedBy,
+    requested_at: new Date().toISOString(),
+    history: []
+  };
+  const reservationId = parseInt(reservation.reservation_id);
+  const payload = device?.ocpp_protocol === 'ocpp2.0.1' ? {
+    id: reservationId,
+    expiryDateTime: expiry_date,
+    idToken: { idToken: id_tag, type: 'Central' },
+    ...(connector_id ? { evseId: connector_id } : {}),
+    ...(reservation.parent_id_tag ? { groupIdToken: { idToken: reservation.parent_id_tag, type: 'Central' } } : {})
+  } : {
+    connectorId: connector_id,
+    expiryDate: expiry_date,
+    idTag: id_tag,
+    reservationId,
+    ...(reservation.parent_id_tag ? { parentIdTag: reservation.parent_id_tag } : {})
+  };
+
+  const request = sendCall(stationId, 'ReserveNow', payload, COMMAND_TIMEOUT_MS, requestedBy);
+  if (!request) return null;
+  await request.done;
+
+  reservations.set(reservation.reservation_id, reservation);
+  if (request.status !== 'completed') {
+    setReservationStatus(reservation, 'Failed', request.error?.code);
+  } else {
+    // Faulted, Occupied, Rejected and Unavailable are kept as the charger said them
+    setReservationStatus(reservation, request.response.status === 'Accepted' ? 'Active' : request.response.status || 'Rejected', `by ${requestedBy}`);
+  }
+  return { request, reservation };
+}
+
+// CancelReservation. Rejected means the charger no longer holds it either, so both answers end it here.
+async function cancelReservation(reservation, requestedBy) {
+  const request = sendCall(reservation.station_id, 'CancelReservation', { reservationId: parseInt(reservation.reservation_id) },
+    COMMAND_TIMEOUT_MS, requestedBy);
+  if (!request) return null;
+  await request.done;
+  if (request.status === 'completed') {
+    setReservationStatus(reservation, 'Cancelled', request.response.status === 'Accepted' ? `by ${requestedBy}` : 'unknown to the station');
+  }
+  return request;
+}
+
+// Link a starting transaction to its reservation: by reservationId, or by the reserved idTag (or its
+// parent) on the reserved connector for chargers that leave the id out. Returns the reservation id.
+function claimReservation(stationId, connectorId, reservationId, idTag, txId) {
+  let reservation = reservationId !== undefined ? reservations.get(String(reservationId)) : null;
+  if (reservation?.station_id !== stationId) reservation = null;
+  if (!reservation && idTag) {
+    const held = activeReservation(stationId, connectorId);
+    const parent = parentIdTagOf(idTag);
+    if (held && (held.id_tag === idTag || (held.parent_id_tag && held.parent_id_tag === parent))) reservation = held;
+  }
+  if (!reservation) return null;
+
+  if (reservation.status !== 'Used') {
+    reservation.transaction_id = txId;
+    setReservationStatus(reservation, 'Used', `transaction ${txId}`);
+  }
+  return reservation.reservation_id;
+}
+
+// Live power/energy of a port for the bridge; only the newest undelivered reading is kept
+function pushMeterToBridge(stationId, connectorId, txId, session) {
+  return publishEvent('meter.values', stationId, {
+    transaction_id: txId,
+    connector_id: connectorId,
+    energy_kwh: session.energy_kwh || 0,
+    power_w: session.current_power_w || 0,
+    voltage_v: session.voltage_v ?? null,
+    current_a: session.current_a ?? null,
+    soc_percent: session.soc_percent ?? null
+  }, `meter:${stationId}:${connectorId}`);
+}
+
+// Resolve the OCPP idTagInfo for a tag: expiry and the parent group's status both count
+function getIdTagInfo(idTag, depth = 0) {
+  const tag = idTag ? idTags.get(idTag) : null;
+
+  if (!tag || tag.deleted) {
+    return { status: ALLOW_UNKNOWN_ID_TAGS && idTag ? 'Accepted' : 'Invalid' };
+  }
+
+  let status = tag.status;
+  if (status === 'Accepted' && tag.expiry_date && new Date(tag.expiry_date) < new Date()) {
+    status = 'Expired';
+  }
+
+  // A blocked/expired group blocks every member tag
+  if (status === 'Accepted' && tag.parent_id_tag && tag.parent_id_tag !== tag.id_tag && depth < MAX_ID_TAG_GROUP_DEPTH) {
+    const parent = idTags.get(tag.parent_id_tag);
+    if (parent && !parent.deleted) {
+      const parentStatus = getIdTagInfo(parent.id_tag, depth + 1).status;
+      if (parentStatus !== 'Accepted') status = parentStatus;
+    }
+  }
+
+  const info = { status };
+  if (tag.expiry_date) info.expiryDate = tag.expiry_date;
+  if (tag.parent_id_tag) info.parentIdTag = tag.parent_id_tag;
+  return info;
+}
+
+// Group (fleet) of an idTag, copied onto the session at start so later regrouping doesn't rewrite billed history
+function parentIdTagOf(idTag) {
+  const tag = idTag ? idTags.get(idTag) : null;
+  return tag && !tag.deleted && tag.parent_id_tag ? tag.parent_id_tag : null;
+}
+
+// Create or update a whitelist entry from a REST body, returns an error string if invalid
+function upsertIdTag(body) {
+  const idTag = (body.id_tag || '').toString().trim();
+  if (!idTag || idTag.length > 20) return 'id_tag is required (max 20 characters)';
+
+  const status = body.status || 'Accepted';
+  if (!ID_TAG_STATUSES.includes(status)) return `status must be one of ${ID_TAG_STATUSES.join(', ')}`;
+
+  if (body.expiry_date && isNaN(new Date(body.expiry_date))) return 'expiry_date must be an ISO date';
+
+  // The group chain must end somewhere: A -> B -> A would make every status lookup loop.
+  // A tag that is its own parent (a common way to mark a group) is fine.
+  const parentIdTag = (body.parent_id_tag || '').toString().trim() || null;
+  if (parentIdTag && parentIdTag.length > 20) return 'parent_id_tag must be at most 20 characters';
+  const chain = [idTag];
+  let parent = parentIdTag === idTag ? null : parentIdTag;
+  while (parent) {
+    if (chain.includes(parent)) return `parent_id_tag would make a cycle (${[...chain, parent].join(' -> ')})`;
+    if (chain.length > MAX_ID_TAG_GROUP_DEPTH) return `Groups can be nested at most ${MAX_ID_TAG_GROUP_DEPTH} levels deep`;
+    chain.push(parent);
+    const group = idTags.get(parent);
+    parent = group && !group.deleted && group.parent_id_tag !== parent ? group.parent_id_tag : null;
+  }
+
+  const existing = idTags.get(idTag);
+  const now = new Date().toISOString();
+  localListVersion++;
+  const tag = {
+    id_tag: idTag,
+    status,
+    expiry_date: body.expiry_date ? new Date(body.expiry_date).toISOString() : null,
+    parent_id_tag: parentIdTag,
+    note: body.note || existing?.note || '',
+    created_at: existing && !existing.deleted ? existing.created_at : now,
+    updated_at: now,
+    list_version: localListVersion,
+    deleted: false
+  };
+  idTags.set(idTag, tag);
+  saveIdTag(tag);
+  return null;
+}
+
+// Build the localAuthorizationList for SendLocalList. Differential lists carry only entries changed
+// after sinceVersion; removed tags are sent without idTagInfo, which tells the charger to delete them.
+function buildLocalAuthorizationList(sinceVersion = 0) {
+  const list = [];
+  for (const tag of idTags.values()) {
+    if (tag.list_version <= sinceVersion) continue;
+    if (tag.deleted) {
+      if (sinceVersion > 0) list.push({ idTag: tag.id_tag });
+      continue;
+    }
+    const info = { status: tag.status };
+    if (tag.expiry_date) info.expiryDate = tag.expiry_date;
+    if (tag.parent_id_tag) info.parentIdTag = tag.parent_id_tag;
+    list.push({ idTag: tag.id_tag, idTagInfo: info });
+  }
+  return list;
+}
+
+// Units the parser normalises to - everything else is converted into one of these
+const UNIT_CONVERSIONS = {
+  kWh: { unit: 'Wh', convert: v => v * 1000 },
+  kW: { unit: 'W', convert: v => v * 1000 },
+  kvarh: { unit: 'varh', convert: v => v * 1000 },
+  kvar: { unit: 'var', convert: v => v * 1000 },
+  Fahrenheit: { unit: 'Celsius', convert: v => (v - 32) * 5 / 9 },
+  K: { unit: 'Celsius', convert: v => v - 273.15 }
+};
+
+// OCPP 1.6 default unit per measurand when the charger omits `unit`
+function defaultUnit(measurand) {
+  if (measurand.startsWith('Energy.Reactive')) return 'varh';
+  if (measurand.startsWith('Energy')) return 'Wh';
+  if (measurand.startsWith('Power.Reactive')) return 'var';
+  if (measurand.startsWith('Power')) return 'W';
+  if (measurand.startsWith('Current')) return 'A';
+  if (measurand === 'Voltage') return 'V';
+  if (measurand === 'Temperature') return 'Celsius';
+  if (measurand === 'SoC') return 'Percent';
+  if (measurand === 'Frequency') return 'Hz';
+  return '';
+}
+
+// Combine per-phase values into one figure: power/energy add up, voltage averages the
+// phase-to-neutral readings, current reports the most loaded phase. Neutral is never counted.
+function aggregatePhases(measurand, phases) {
+  const entries = Object.entries(phases).filter(([phase]) => phase !== 'N');
+  if (entries.length === 0) return null;
+
+  if (measurand === 'Voltage') {
+    const lineToNeutral = entries.filter(([phase]) => !/^L\d-L\d$/.test(phase));
+    const used = lineToNeutral.length > 0 ? lineToNeutral : entries;
+    return used.reduce((sum, [, v]) => sum + v, 0) / used.length;
+  }
+  if (measurand.startsWith('Current')) {
+    return Math.max(...entries.map(([, v]) => v));
+  }
+  if (measurand === 'Power.Factor' || measurand === 'Frequency' || measurand === 'Temperature') {
+    return entries.reduce((sum, [, v]) => sum + v, 0) / entries.length;
+  }
+  return entries.reduce((sum, [, v]) => sum + v, 0);
+}
+
+// Parse an OCPP 1.6 meterValue array. Every sampledValue is kept with its unit normalised
+// (Wh, W, A, V, Celsius, ...), grouped per timestamp in chronological order. For each group
+// and measurand, `value` is the un-phased sample if the charger sent one, otherwise the
+// aggregate of its phases. `latest` folds the groups together so the newest value wins.
+function parseMeterValues(meterValue) {
+  const samples = [];
+  const latest = {};
+
+  if (!meterValue || !Array.isArray(meterValue)) return { samples, latest };
+
+  for (const meter of meterValue) {
+    if (!meter || !Array.isArray(meter.sampledValue)) continue;
+
+    const timestamp = meter.timestamp && !isNaN(new Date(meter.timestamp)) ?
+      new Date(meter.timestamp).toISOString() : new Date().toISOString();
+    const values = {};
+    let groupContext = 'Sample.Periodic';
+
+    for (const sample of meter.sampledValue) {
+      if (sample.format === 'SignedData') continue;
+      const raw = parseFloat(sample.value);
+      if (isNaN(raw)) continue;
+
+      const measurand = sample.measurand || 'Energy.Active.Import.Register';
+      const conversion = UNIT_CONVERSIONS[sample.unit];
+      const value = conversion ? conversion.convert(raw) : raw;
+      const unit = conversion ? conversion.unit : (sample.unit || defaultUnit(measurand));
+      const context = sample.context || 'Sample.Periodic';
+      groupContext = context;
+
+      const entry = values[measurand] || (values[measurand] = {
+        value: null,
+        unit,
+        phases: {},
+        context,
+        location: sample.location || 'Outlet'
+      });
+
+      if (sample.phase) {
+        entry.phases[sample.phase] = value;
+      } else {
+        entry.value = value;
+      }
+    }
+
+    for (const [measurand, entry] of Object.entries(values)) {
+      if (entry.value === null) entry.value = aggregatePhases(measurand, entry.phases);
+    }
+
+    if (Object.keys(values).length > 0) samples.push({ timestamp, context: groupContext, values });
+  }
+
+  samples.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  for (const sample of samples) {
+    for (const [measurand, entry] of Object.entries(sample.values)) {
+      latest[measurand] = { ...entry, timestamp: sample.timestamp };
+    }
+  }
+
+  return { samples, latest };
+}
+
+// Flat session fields fed from the parsed measurands; only measurands present in the
+// message are touched, so a sample without power no longer zeroes current_power_w.
+const SESSION_MEASURAND_FIELDS = {
+  'Power.Active.Import': 'current_power_w',
+  'Voltage': 'voltage_v',
+  'Current.Import': 'current_a',
+  'Temperature': 'temperature_c',
+  'SoC': 'soc_percent',
+  'Power.Offered': 'power_offered_w',
+  'Current.Offered': 'current_offered_a'
+};
+
+// Apply parsed meter values to a session: register readings in chronological order for
+// energy, then the newest value of every measurand (with its phases) onto the session.
+// Returns one time-series point per sample group, with the delivered energy at that moment.
+function applyMeterValues(session, parsed) {
+  const points = [];
+
+  for (const sample of parsed.samples) {
+    const register = sample.values['Energy.Active.Import.Register'];
+    // Readings older than one already applied (buffered offline, delivered out of order) only go into the
+    // time series: the newer cumulative register already counted their energy
+    const late = session.last_meter_at && sample.timestamp < session.last_meter_at;
+    if (register && register.value !== null && !late) applyEnergyRegister(session, register.value, sample.timestamp);
+
+    const point = { timestamp: sample.timestamp, context: sample.context };
+    if (!late) {
+      point.energy_kwh = session.energy_kwh || 0;
+    } else if (register && register.value !== null && typeof session.meter_start_wh === 'number') {
+      point.energy_kwh = (register.value - session.meter_start_wh) / 1000;
+    }
+    for (const [measurand, field] of Object.entries(SESSION_MEASURAND_FIELDS)) {
+      const reading = sample.values[measurand];
+      if (reading && reading.value !== null) point[field] = reading.value;
+    }
+    updateMeterStats(session, point);
+    // Idle fees start once the car stops drawing power, not when it is unplugged
+    if (point.current_power_w > 0 && !(session.last_charging_at > sample.timestamp)) session.last_charging_at = sample.timestamp;
+    points.push(point);
+  }
+
+  const newest = parsed.samples[parsed.samples.length - 1];
+  if (newest && session.last_meter_at && newest.timestamp < session.last_meter_at) return points;
+
+  session.measurands = { ...(session.measurands || {}), ...parsed.latest };
+  for (const [measurand, field] of Object.entries(SESSION_MEASURAND_FIELDS)) {
+    const reading = parsed.latest[measurand];
+    if (reading && reading.value !== null) session[field] = reading.value;
+  }
+
+  if (newest) {
+    session.last_meter_at = newest.timestamp;
+    session.last_meter_context = newest.context;
+  }
+
+  return points;
+}
+
+// Running max/avg statistics over every sample of a session, so completed sessions report
+// the real peak instead of whatever the last MeterValues happened to say.
+function updateMeterStats(session, point) {
+  const stats = session.meter_stats || (session.meter_stats = {
+    samples: 0, power_sum: 0, power_count: 0, voltage_sum: 0, voltage_count: 0, current_sum: 0, current_count: 0
+  });
+  stats.samples++;
+
+  if (point.current_power_w !== undefined) {
+    stats.power_sum += point.current_power_w;
+    stats.power_count++;
+    session.max_power_w = Math.max(session.max_power_w || 0, point.current_power_w);
+    session.avg_power_w = stats.power_sum / stats.power_count;
+  }
+  if (point.voltage_v !== undefined) {
+    stats.voltage_sum += point.voltage_v;
+    stats.voltage_count++;
+    session.avg_voltage_v = stats.voltage_sum / stats.voltage_count;
+  }
+  if (point.current_a !== undefined) {
+    stats.current_sum += point.current_a;
+    stats.current_count++;
+    session.max_current_a = Math.max(session.max_current_a || 0, point.current_a);
+    session.avg_current_a = stats.current_sum / stats.current_count;
+  }
+}
+
+// Persist time-series points under the transaction
+function storeMeterPoints(txId, points) {
+  storage.appendMeterPoints(txId, points)
+    .catch(error => console.error('❌ Failed to store meter values:', error.message));
+}
+
+async function getMeterPoints(txId) {
+  return (await storage.getMeterPoints(txId)).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// Drop the meter points of sessions that started before the retention window. Only sessions between the
+// previous cutoff and the new one are visited, so each run is cheap after the first.
+async function pruneMeterPoints() {
+  if (!METER_RETENTION_DAYS) return;
+  const cutoff = new Date(Date.now() - METER_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const from = await storage.get(['meta', 'meter_pruned_until']) || undefined;
+  const sessions = await storage.querySessions({ from, to: cutoff });
+  for (const session of sessions) await storage.deleteMeterPoints(session.transaction_id);
+  await storage.set(['meta', 'meter_pruned_until'], cutoff);
+  if (sessions.length) console.log(`🧹 Deleted meter values of ${sessions.length} sessions older than ${METER_RETENTION_DAYS} days`);
+}
+
+// Server-rendered SVG line chart, no client-side libraries needed
+function renderLineChart(points, field, { label, unit, color }) {
+  const data = points.filter(p => typeof p[field] === 'number');
+  if (data.length < 2) {
+    return `<div class="empty">Not enough ${label.toLowerCase()} samples to draw a chart</div>`;
+  }
+
+  // Keep the SVG small for long sessions
+  const step = Math.ceil(data.length / 600);
+  const shown = data.filter((_, i) => i % step === 0 || i === data.length - 1);
+
+  const width = 900, height = 260, pad = 40;
+  const t0 = new Date(shown[0].timestamp).getTime();
+  const t1 = new Date(shown[shown.length - 1].timestamp).getTime();
+  const maxValue = Math.max(...shown.map(p => p[field]), 1);
+  const x = t => pad + ((t - t0) / Math.max(t1 - t0, 1)) * (width - 2 * pad);
+  const y = v => height - pad - (v / maxValue) * (height - 2 * pad);
+  const path = shown.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(new Date(p.timestamp).getTime()).toFixed(1)},${y(p[field]).toFixed(1)}`).join(' ');
+
+  return `<svg viewBox="0 0 ${width} ${height}" style="width:100%;height:auto;background:#f8fafc;border-radius:8px;">
+    <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#cbd5e1"/>
+    <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" stroke="#cbd5e1"/>
+    <text x="${pad}" y="${pad - 10}" font-size="12" fill="#64748b">${maxValue.toFixed(unit === 'kWh' ? 3 : 0)} ${unit}</text>
+    <text x="${pad}" y="${height - 15}" font-size="12" fill="#64748b">${new Date(t0).toLocaleTimeString()}</text>
+    <text x="${width - pad}" y="${height - 15}" font-size="12" fill="#64748b" text-anchor="end">${new Date(t1).toLocaleTimeString()}</text>
+    <path d="${path}" fill="none" stroke="${color}" stroke-width="2"/>
+  </svg>`;
+}
+
+// Advance a session's delivered energy from an absolute meter register reading (Wh).
+// Delivered energy is the sum of register deltas, so a register that goes backwards
+// (meter reset or rollover) restarts counting from zero instead of wiping the total.
+// With a timestamp the delta is also booked into session.energy_profile for tariff bands.
+function applyEnergyRegister(session, registerWh, timestamp) {
+  if (typeof registerWh !== 'number' || isNaN(registerWh)) return;
+
+  let added = 0;
+  if (typeof session.last_register_wh === 'number') {
+    const delta = registerWh - session.last_register_wh;
+    if (delta >= 0) {
+      added = delta;
+    } else {
+      added = registerWh;
+      session.register_resets = (session.register_resets || 0) + 1;
+      addLog(`⚠️ Meter register went backwards on ${session.station_id} Port ${session.connector_id} (${session.last_register_wh} → ${registerWh} Wh), treating as reset`);
+    }
+  }
+  // No meterStart (e.g. auto-recovered session): the first reading becomes the baseline
+  session.energy_wh = (session.energy_wh || 0) + added;
+
+  const time = timestamp ? new Date(timestamp).getTime() : NaN;
+  if (added > 0 && !isNaN(time)) {
+    const slotMs = ENERGY_PROFILE_MINUTES * 60000;
+    const slot = new Date(Math.floor(time / slotMs) * slotMs).toISOString();
+    session.energy_profile = session.energy_profile || {};
+    session.energy_profile[slot] = (session.energy_profile[slot] || 0) + added;
+    session.last_energy_at = new Date(time).toISOString();
+  }
+
+  session.last_register_wh = registerWh;
+  session.energy_kwh = session.energy_wh / 1000;
+}
+
+// OCPP 2.0.1 - TransactionEvent, StatusNotification per EVSE and the device model are mapped onto
+// the same session and device records as 1.6, so dashboard, logs, load balancing and bridge don't
+// care which generation a charger speaks. Ports are EVSE ids.
+
+// 2.0.1 sampledValues are numbers with a unitOfMeasure { unit, multiplier }; turn them into the
+// 1.6 shape so parseMeterValues() handles both
+function normalizeMeterValues201(meterValues) {
+  return (meterValues || []).map(meter => ({
+    timestamp: meter.timestamp,
+    sampledValue: (meter.sampledValue || []).map(({ value, unitOfMeasure, ...sample }) => ({
+      ...sample,
+      value: String(value * Math.pow(10, unitOfMeasure?.multiplier || 0)),
+      unit: unitOfMeasure?.unit
+    }))
+  }));
+}
+
+// idTokenInfo for a 2.0.1 idToken, from the same whitelist as 1.6 idTags
+function getIdTokenInfo(idToken) {
+  if (idToken?.type === 'NoAuthorization') return { status: 'Accepted' };
+  const info = getIdTagInfo(idToken?.idToken);
+  const tokenInfo = { status: info.status };
+  if (info.expiryDate) tokenInfo.cacheExpiryDateTime = info.expiryDate;
+  if (info.parentIdTag) tokenInfo.groupIdToken = { idToken: info.parentIdTag, type: 'Central' };
+  return tokenInfo;
+}
+
+// 2.0.1 has no transition table and only five states; they are stored under the EVSE id in the
+// connector map 1.6 uses, with the connector within the EVSE alongside
+function applyConnectorStatus201(device, payload) {
+  const connectors = device.connectors || (device.connectors = {});
+  const previous = connectors[payload.evseId];
+  const changed = !previous || previous.status !== payload.connectorStatus;
+  connectors[payload.evseId] = {
+    connector_id: payload.evseId,
+    evse_connector_id: payload.connectorId,
+    status: payload.connectorStatus,
+    previous_status: changed ? previous?.status || null : previous.previous_status,
+    error_code: 'NoError',
+    info: null,
+    vendor_id: null,
+    vendor_error_code: null,
+    timestamp: payload.timestamp,
+    since: changed ? new Date().toISOString() : previous.since,
+    valid_transition: true
+  };
+  return connectors[payload.evseId];
+}
+
+function deviceModelKey(component, variable) {
+  let key = component.name;
+  if (component.instance) key += `.${component.instance}`;
+  if (component.evse) key += `@${component.evse.id}${component.evse.connectorId !== undefined ? `.${component.evse.connectorId}` : ''}`;
+  key += `/${variable.name}`;
+  if (variable.instance) key += `.${variable.instance}`;
+  return key;
+}
+
+// Store the variables of one NotifyReport part; reports arrive in several parts while `tbc` is set
+async function applyNotifyReport(stationId, payload) {
+  const model = deviceModels.get(stationId) || new Map();
+  deviceModels.set(stationId, model);
+
+  for (const data of payload.reportData || []) {
+    const key = deviceModelKey(data.component, data.variable);
+    const entry = {
+      key,
+      component: data.component,
+      variable: data.variable,
+      attributes: {},
+      characteristics: data.variableCharacteristics || null,
+      request_id: payload.requestId,
+      updated_at: payload.generatedAt
+    };
+    for (const { type = 'Actual', ...attribute } of data.variableAttribute) {
+      entry.attributes[type] = attribute;
+    }
+    model.set(key, entry);
+    await storage.set(['device_model', stationId, key], entry);
+  }
+  return (payload.reportData || []).length;
+}
+
+// TransactionEvent covers what StartTransaction, MeterValues and StopTransaction do in 1.6
+// 2.0.1 transaction ids are chosen by the station: another station, a 1.6 session's numeric id or the
+// same station after a reboot may use the same one, also for sessions that already completed. Sessions
+// are therefore keyed "<stationId>:<transactionId>" (with the start time appended when a completed
+// session already has that key) and found again through the station's own id in ocpp_transaction_id.
+function findSession201(stationId, transactionId) {
+  for (const [txId, session] of activeSessions.entries()) {
+    // Sessions still open from before keys were scoped have no ocpp_transaction_id and their bare id as key
+    if (session.station_id === stationId && session.ocpp_version === '2.0.1' &&
+      (session.ocpp_transaction_id ?? txId) === transactionId) return txId;
+  }
+  return null;
+}
+
+async function newTransactionKey201(stationId, transactionId) {
+  const key = `${stationId}:${transactionId}`;
+  return await storage.getSession(key) ? `${key}:${Date.now().toString(36)}` : key;
+}
+
+async function handleTransactionEvent(stationId, payload) {
+  const transactionId = payload.transactionInfo.transactionId;
+  const txId = findSession201(stationId, transactionId) || await newTransactionKey201(stationId, transactionId);
+  const response = payload.idToken ? { idTokenInfo: getIdTokenInfo(payload.idToken) } : {};
+  let session = activeSessions.get(txId);
+
+  if (!session) {
+    const connectorId = payload.evse?.id || 1;
+    if (payload.eventType !== 'Started') {
+      addLog(`🔄 AUTO-RECOVER: ${payload.eventType} for unknown transaction ${txId} on ${stationId} Port ${connectorId}`);
+    }
+    if (response.idTokenInfo && response.idTokenInfo.status !== 'Accepted') {
+      addLog(`🚫 TransactionEvent with ${response.idTokenInfo.status} idToken ${payload.idToken.idToken} on Port ${connectorId}`);
+    }
+    session = {
+      station_id: stationId,
+      connector_id: connectorId,
+      evse_connector_id: payload.evse?.connectorId ?? null,
+      ocpp_version: '2.0.1',
+      ocpp_transaction_id: payload.transactionInfo.transactionId,
+      id_tag: payload.idToken?.idToken || null,
+      parent_id_tag: parentIdTagOf(payload.idToken?.idToken),
+      reservation_id: claimReservation(stationId, connectorId, payload.reservationId, payload.idToken?.idToken, txId),
+      start_time: new Date().toISOString(),
+      meter_start_wh: null,
+      last_register_wh: null,
+      energy_wh: 0,
+      energy_kwh: 0,
+      current_power_w: 0
+    };
+    activeSessions.set(txId, session);
+    emitSessionEvent('session_started', txId, session);
+    publishEvent('session.started', stationId, {
+      transaction_id: txId,
+      connector_id: session.connector_id,
+      id_tag: session.id_tag,
+      start_time: session.start_time,
+      status: 'active'
+    });
+  }
+
+  resumeSession(txId, session);
+  if (payload.idToken && !session.id_tag) {
+    session.id_tag = payload.idToken.idToken;
+    session.parent_id_tag = parentIdTagOf(session.id_tag);
+  }
+  if (payload.transactionInfo.chargingState) session.charging_state = payload.transactionInfo.chargingState;
+
+  if (payload.meterValue) {
+    const parsed = parseMeterValues(normalizeMeterValues201(payload.meterValue));
+    if (payload.eventType === 'Started' && session.meter_start_wh === null) {
+      const first = parsed.samples.find(sample => sample.values['Energy.Active.Import.Register']);
+      if (first) session.meter_start_wh = first.values['Energy.Active.Import.Register'].value;
+    }
+    storeMeterPoints(txId, applyMeterValues(session, parsed));
+  }
+
+  if (payload.eventType === 'Ended') {
+    if (typeof session.last_register_wh === 'number') session.meter_stop_wh = session.last_register_wh;
+    completeSession(txId, session, payload.transactionInfo.stoppedReason || 'Local');
+    addLog(`✅ Session completed: Port ${session.connector_id}, ${session.energy_kwh.toFixed(3)}kWh, ${session.duration_minutes}m`);
+    publishSessionCompleted(stationId, txId, session);
+    return response;
+  }
+
+  saveState();
+  if (payload.meterValue) {
+    emitSessionEvent('meter', txId, session);
+    addLog(`⚡ Port ${session.connector_id}: ${session.current_power_w || 0}W | ${session.energy_kwh.toFixed(5)}kWh (${payload.triggerReason})`);
+    pushMeterToBridge(stationId, session.connector_id, txId, session);
+  }
+  return response;
+}
+
+// Answer one OCPP 2.0.1 CALL (already schema-validated)
+async function handleOcpp201Call(stationId, action, payload) {
+  const device = connectedDevices.get(stationId);
+
+  switch (action) {
+    case 'BootNotification': {
+      const station = payload.chargingStation;
+      const interval = configuredHeartbeatInterval(device) || HEARTBEAT_INTERVAL_S;
+      recordBoot(stationId, {
+        vendor: station.vendorName || 'Unknown',
+        model: station.model || 'Unknown',
+        firmware: station.firmwareVersion || 'Unknown',
+        serial_number: station.serialNumber || null,
+        iccid: station.modem?.iccid || null,
+        boot_reason: payload.reason,
+        heartbeat_interval: interval
+      });
+      return { currentTime: new Date().toISOString(), interval, status: 'Accepted' };
+    }
+
+    case 'Heartbeat':
+      recordHeartbeat(stationId);
+      return { currentTime: new Date().toISOString() };
+
+    case 'StatusNotification':
+      if (device) {
+        const connector = applyConnectorStatus201(device, payload);
+        resumeConnectorSessions(stationId, connector);
+        addLog(`🔌 ${stationId} EVSE ${payload.evseId} connector ${payload.connectorId}: ${connector.status}`);
+        saveState();
+        emitDeviceEvent(stationId, 'connector', connector.connector_id);
+      }
+      publishEvent('station.updated', stationId, { status: BRIDGE_STATION_STATUS[payload.connectorStatus] || 'offline' });
+      return {};
+
+    case 'Authorize': {
+      const idTokenInfo = getIdTokenInfo(payload.idToken);
+      addLog(`🔑 Authorize ${payload.idToken.idToken} on ${stationId}: ${idTokenInfo.status}`);
+      return { idTokenInfo };
+    }
+
+    case 'TransactionEvent':
+      return handleTransactionEvent(stationId, payload);
+
+    case 'MeterValues': {
+      // Meter values outside a transaction; transaction meter values come with TransactionEvent
+      for (const [txId, session] of activeSessions.entries()) {
+        if (session.station_id === stationId && session.connector_id === payload.evseId) {
+          resumeSession(txId, session);
+          storeMeterPoints(txId, applyMeterValues(session, parseMeterValues(normalizeMeterValues201(payload.meterValue))));
+          saveState();
+          emitSessionEvent('meter', txId, session);
+          break;
+        }
+      }
+      return {};
+    }
+
+    case 'NotifyReport': {
+      const count = await applyNotifyReport(stationId, payload);
+      addLog(`📋 ${stationId} reported ${count} variables (request ${payload.requestId}${payload.tbc ? ', more to come' : ''})`);
+      return {};
+    }
+
+    case 'NotifyEvent':
+      for (const event of payload.eventData) {
+        addLog(`📋 ${stationId} event: ${event.component?.name}/${event.variable?.name} = ${event.actualValue} (${event.trigger})`);
+      }
+      return {};
+
+    case 'SecurityEventNotification':
+      addLog(`🛡️ ${stationId} security event: ${payload.type}${payload.techInfo ? ` (${payload.techInfo})` : ''}`);
+      return {};
+
+    case 'FirmwareStatusNotification':
+      recordFirmwareStatus(stationId, payload.status, payload.requestId);
+      return {};
+
+    case 'LogStatusNotification':
+      recordDiagnosticsStatus(stationId, payload.status, payload.requestId);
+      return {};
+
+    case 'ReservationStatusUpdate': {
+      const reservation = reservations.get(String(payload.reservationId));
+      if (reservation?.station_id === stationId && reservation.status === 'Active') {
+        setReservationStatus(reservation, payload.reservationUpdateStatus, 'reported by the station');
+      }
+      return {};
+    }
+
+    case 'DataTransfer':
+      return { status: 'UnknownVendorId' };
+  }
+  return {};
+}
+
+// Smart charging - sites share a grid connection, stations may have their own cap, and
+// operators can pin a connector. Limits are in the unit they were configured in ('A' or 'W');
+// amps are compared against current_a (most loaded phase), watts against current_power_w.
+async function loadLoadManagement() {
+  for (const { value } of await storage.list(['load', 'sites'])) loadSites.set(value.site_id, value);
+  for (const { value } of await storage.list(['load', 'stations'])) stationLimits.set(value.station_id, value);
+  for (const { value } of await storage.list(['load', 'overrides'])) {
+    connectorOverrides.set(`${value.station_id}:${value.connector_id}`, value);
+  }
+  console.log(`✅ Loaded load management: ${loadSites.size} sites, ${stationLimits.size} station limits`);
+}
+
+function validateLimit(body) {
+  const limit = Number(body.limit);
+  if (!(limit > 0)) return 'limit must be a positive number';
+  if (!['A', 'W'].includes(body.unit || 'A')) return "unit must be 'A' or 'W'";
+  return null;
+}
+
+// Load groups to balance: every configured site, plus each capped station that is not in a site
+function loadGroups() {
+  const groups = [];
+  const inSite = new Set();
+  for (const site of loadSites.values()) {
+    site.stations.forEach(id => inSite.add(id));
+    groups.push({ id: `site:${site.site_id}`, limit: site.limit, unit: site.unit, stations: site.stations, min_limit: site.min_limit });
+  }
+  for (const cap of stationLimits.values()) {
+    if (!inSite.has(cap.station_id)) {
+      groups.push({ id: `station:${cap.station_id}`, limit: cap.limit, unit: cap.unit, stations: [cap.station_id] });
+    }
+  }
+  return groups;
+}
+
+// Convert a limit between units using the session's voltage and phase count (230 V, 1 phase if unknown)
+function convertLimit(value, from, to, session) {
+  if (from === to) return value;
+  const voltage = session?.voltage_v || 230;
+  const phases = Math.max(Object.keys(session?.measurands?.['Current.Import']?.phases || {}).filter(p => p !== 'N').length, 1);
+  return from === 'A' ? value * voltage * phases : value / (voltage * phases);
+}
+
+// Split a group's limit across its sessions. Sessions drawing well below their last allocation
+// only get what they use plus a margin; the rest is water-filled among sessions that want more.
+function allocateGroup(group, sessions) {
+  const unit = group.unit;
+  const minLimit = group.min_limit || MIN_LIMIT[unit];
+  const allocations = new Map();
+  if (sessions.length === 0) return allocations;
+
+  const wants = sessions.map(([txId, session]) => {
+    let cap = Infinity;
+    const stationCap = stationLimits.get(session.station_id);
+    if (stationCap && group.id !== `station:${session.station_id}`) {
+      const peers = sessions.filter(([, s]) => s.station_id === session.station_id).length;
+      cap = Math.min(cap, convertLimit(stationCap.limit, stationCap.unit, unit, session) / peers);
+    }
+    const override = connectorOverrides.get(`${session.station_id}:${session.connector_id}`);
+    if (override) cap = Math.min(cap, convertLimit(override.limit, override.unit, unit, session));
+
+    const draw = unit === 'A' ? session.current_a || 0 : session.current_power_w || 0;
+    const previous = appliedProfiles.get(txId);
+    const lastLimit = previous ? convertLimit(previous.limit, previous.unit, unit, session) : null;
+    if (lastLimit !== null && draw > 0 && draw < lastLimit * 0.8) {
+      cap = Math.min(cap, Math.max(draw * 1.2, minLimit));
+    }
+    return { txId, cap: Math.max(cap, 0) };
+  });
+
+  // Not enough for everyone's minimum: share equally rather than starve anyone
+  if (minLimit * wants.length >= group.limit) {
+    for (const w of wants) allocations.set(w.txId, Math.min(group.limit / wants.length, w.cap));
+    return allocations;
+  }
+
+  let remaining = group.limit;
+  const ordered = [...wants].sort((a, b) => a.cap - b.cap);
+  ordered.forEach((w, i) => {
+    const share = remaining / (ordered.length - i);
+    const allocation = Math.max(Math.min(w.cap, share), Math.min(minLimit, w.cap));
+    allocations.set(w.txId, allocation);
+    remaining -= allocation;
+  });
+  return allocations;
+}
+
+// Build the TxProfile sent with SetChargingProfile for one session
+function buildTxProfile(txId, session, limit, unit) {
+  const period = { startPeriod: 0, limit: unit === 'A' ? Math.floor(limit * 10) / 10 : Math.floor(limit) };
+
+  // 2.0.1: per EVSE, chargingSchedule is a list and transactionId is the station's own string id
+  if (session.ocpp_version === '2.0.1') {
+    return {
+      evseId: session.connector_id,
+      chargingProfile: {
+        id: LOAD_PROFILE_ID_BASE + (session.connector_id || 0),
+        stackLevel: 1,
+        chargingProfilePurpose: 'TxProfile',
+        chargingProfileKind: 'Relative',
+        transactionId: session.ocpp_transaction_id ?? txId,
+        chargingSchedule: [{ id: 1, chargingRateUnit: unit, chargingSchedulePeriod: [period] }]
+      }
+    };
+  }
+
+  const profile = {
+    chargingProfileId: LOAD_PROFILE_ID_BASE + (session.connector_id || 0),
+    stackLevel: 1,
+    chargingProfilePurpose: 'TxProfile',
+    chargingProfileKind: 'Relative',
+    chargingSchedule: {
+      chargingRateUnit: unit,
+      chargingSchedulePeriod: [period]
+    }
+  };
+  // Auto-recovered sessions have no OCPP transactionId; the profile then targets the running transaction
+  if (/^\d+$/.test(txId)) profile.transactionId = parseInt(txId);
+  return { connectorId: session.connector_id, csChargingProfiles: profile };
+}
+
+async function sendTxProfile(txId, session, limit, unit, groupId) {
+  const payload = buildTxProfile(txId, session, limit, unit);
+  const request = sendCall(session.station_id, 'SetChargingProfile', payload);
+  if (!request) return;
+
+  const profile = payload.csChargingProfiles || payload.chargingProfile;
+  const schedule = [].concat(profile.chargingSchedule)[0];
+  const applied = {
+    limit: schedule.chargingSchedulePeriod[0].limit,
+    unit,
+    profile_id: profile.chargingProfileId ?? profile.id,
+    group: groupId,
+    status: 'pending',
+    sent_at: new Date().toISOString()
+  };
+  appliedProfiles.set(txId, applied);
+
+  await request.done;
+  applied.status = request.status === 'completed' ? request.response?.status || 'Accepted' : request.status;
+  if (applied.status !== 'Accepted') {
+    addLog(`⚠️ SetChargingProfile ${applied.limit}${unit} on ${session.station_id} Port ${session.connector_id}: ${applied.status}`);
+    return;
+  }
+  // Only a limit the charger took is shown; a refused one leaves its previous profile in force
+  session.charging_limit = { limit: applied.limit, unit };
+  saveState();
+}
+
+async function clearTxProfile(txId, session) {
+  const applied = appliedProfiles.get(txId);
+  appliedProfiles.delete(txId);
+  delete session.charging_limit;
+  if (!applied) return;
+
+  const request = sendCall(session.station_id, 'ClearChargingProfile',
+    session.ocpp_version === '2.0.1' ? { chargingProfileId: applied.profile_id } : { id: applied.profile_id });
+  if (request) {
+    await request.done;
+    addLog(`🎛️ Cleared charging limit on ${session.station_id} Port ${session.connector_id}: ${request.response?.status || request.status}`);
+  }
+}
+
+// One balancing pass: allocate every group and push profiles that moved noticeably. Allocation and
+// appliedProfiles are updated synchronously; the chargers are then asked in parallel, so one that does
+// not answer only delays its own profile.
+async function rebalanceLoad() {
+  const groups = loadGroups();
+  const managed = new Set();
+  const calls = [];
+
+  for (const group of groups) {
+    const sessions = Array.from(activeSessions.entries()).filter(([, s]) =>
+      group.stations.includes(s.station_id) && connectedDevices.get(s.station_id)?.socket
+    );
+    const allocations = allocateGroup(group, sessions);
+
+    for (const [txId, session] of sessions) {
+      managed.add(txId);
+      const limit = allocations.get(txId);
+      const previous = appliedProfiles.get(txId);
+      const threshold = group.unit === 'A' ? 1 : 230;
+      // A profile the charger refused or never answered is sent again on the next pass
+      if (previous?.status === 'Accepted' && previous.unit === group.unit && Math.abs(previous.limit - limit) < threshold) continue;
+      calls.push(sendTxProfile(txId, session, limit, group.unit, group.id));
+    }
+  }
+
+  // Sessions that left every group (site deleted, limit removed) get their profile cleared
+  for (const txId of appliedProfiles.keys()) {
+    if (managed.has(txId)) continue;
+    const session = activeSessions.get(txId);
+    if (session) calls.push(clearTxProfile(txId, session));
+    else appliedProfiles.delete(txId);
+  }
+
+  await Promise.all(calls);
+}
+
+// Start a pass unless one is running. Configuration changes made during a pass queue one more pass
+// (so they are never missed), the periodic timer just waits for the next tick.
+let rebalancing = null;
+let rebalanceQueued = false;
+function requestRebalance({ queue = true } = {}) {
+  if (rebalancing) {
+    rebalanceQueued = rebalanceQueued || queue;
+    return;
+  }
+  rebalancing = rebalanceLoad()
+    .catch(error => console.error('Load balancing error:', error))
+    .finally(() => {
+      rebalancing = null;
+      if (rebalanceQueued) {
+        rebalanceQueued = false;
+        requestRebalance();
+      }
+    });
+}
+
+setInterval(() => requestRebalance({ queue: false }), LOAD_BALANCE_INTERVAL_MS);
+
+// Snapshot for GET /api/load: configuration plus what every group is using right now
+function loadManagementStatus() {
+  return loadGroups().map(group => {
+    const sessions = Array.from(activeSessions.entries()).filter(([, s]) => group.stations.includes(s.station_id));
+    const usage = sessions.reduce((sum, [, s]) => sum + (group.unit === 'A' ? s.current_a || 0 : s.current_power_w || 0), 0);
+    return {
+      group: group.id,
+      limit: group.limit,
+      unit: group.unit,
+      stations: group.stations,
+      usage,
+      sessions: sessions.map(([txId, s]) => ({
+        transaction_id: txId,
+        station_id: s.station_id,
+        connector_id: s.connector_id,
+        current_power_w: s.current_power_w || 0,
+        current_a: s.current_a || 0,
+        profile: appliedProfiles.get(txId) || null
+      }))
+    };
+  });
+}
+
+// Tariffs - a base price per kWh and/or per minute, an optional session fee, time-of-day bands
+// that override the base prices, and an idle fee for time plugged in after charging stopped.
+// Sessions are priced once when they complete; the breakdown is stored as session.cost.
+async function loadTariffs() {
+  for (const { value } of await storage.list(['tariffs', 'definitions'])) tariffs.set(value.tariff_id, value);
+  for (const { value } of await storage.list(['tariffs', 'stations'])) stationTariffs.set(value.station_id, value);
+  for (const { value } of await storage.list(['tariffs', 'connectors'])) {
+    connectorTariffs.set(`${value.station_id}:${value.connector_id}`, value);
+  }
+  console.log(`✅ Loaded ${tariffs.size} tariffs`);
+}
+
+const TARIFF_PRICE_FIELDS = ['price_per_kwh', 'price_per_minute', 'session_fee', 'idle_fee_per_minute', 'idle_grace_minutes', 'idle_fee_max'];
+
+function parseClock(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+function validateTariff(body) {
+  if (!/^[A-Z]{3}$/.test(body.currency || '')) return 'currency must be an ISO 4217 code such as EUR';
+  for (const field of TARIFF_PRICE_FIELDS) {
+    if (body[field] !== undefined && body[field] !== null && !(Number(body[field]) >= 0)) return `${field} must be a number >= 0`;
+  }
+  if (body.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: body.timezone });
+    } catch {
+      return `Unknown timezone ${body.timezone}`;
+    }
+  }
+  if (body.bands !== undefined && !Array.isArray(body.bands)) return 'bands must be an array';
+  for (const band of body.bands || []) {
+    if (parseClock(band.start) === null || parseClock(band.end) === null) return 'band start and end must be HH:MM';
+    if (band.days !== undefined && (!Array.isArray(band.days) || band.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      return 'band days must be weekday numbers, 0 = Sunday';
+    }
+    for (const field of ['price_per_kwh', 'price_per_minute']) {
+      if (band[field] !== undefined && !(Number(band[field]) >= 0)) return `band ${field} must be a number >= 0`;
+    }
+  }
+  return null;
+}
+
+function buildTariff(tariffId, body) {
+  const tariff = {
+    tariff_id: tariffId,
+    name: body.name || tariffId,
+    currency: body.currency,
+    timezone: body.timezone || 'UTC',
+    default: body.default === true,
+    bands: (body.bands || []).map((band, i) => ({
+      name: band.name || `band-${i + 1}`,
+      start: band.start,
+      end: band.end,
+      ...(band.days ? { days: band.days } : {}),
+      ...(band.price_per_kwh !== undefined ? { price_per_kwh: Number(band.price_per_kwh) } : {}),
+      ...(band.price_per_minute !== undefined ? { price_per_minute: Number(band.price_per_minute) } : {})
+    }))
+  };
+  for (const field of TARIFF_PRICE_FIELDS) {
+    tariff[field] = body[field] === undefined || body[field] === null ? (field === 'idle_fee_max' ? null : 0) : Number(body[field]);
+  }
+  return tariff;
+}
+
+function tariffFor(stationId, connectorId) {
+  const assigned = connectorTariffs.get(`${stationId}:${connectorId}`) || stationTariffs.get(stationId);
+  if (assigned && tariffs.has(assigned.tariff_id)) return tariffs.get(assigned.tariff_id);
+  return Array.from(tariffs.values()).find(t => t.default) || null;
+}
+
+// Bands are wall-clock times in the tariff's timezone; end before start wraps past midnight
+const tariffClocks = new Map();
+function tariffClockAt(tariff, time) {
+  let clock = tariffClocks.get(tariff.timezone);
+  if (!clock) {
+    clock = new Intl.DateTimeFormat('en-US', { timeZone: tariff.timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    tariffClocks.set(tariff.timezone, clock);
+  }
+  const parts = Object.fromEntries(clock.formatToParts(new Date(time)).map(p => [p.type, p.value]));
+  return {
+    minute: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+function tariffBandAt(tariff, time) {
+  return tariff.bands.length ? tariffBandAtClock(tariff, tariffClockAt(tariff, time)) : null;
+}
+
+// Minutes from a wall-clock minute to the next band start or end, or midnight where the weekday changes
+function minutesToBandEdge(tariff, minute) {
+  const edges = [0, ...tariff.bands.flatMap(band => [parseClock(band.start), parseClock(band.end)])];
+  return Math.min(...edges.map(edge => (edge - minute + 1440) % 1440 || 1440));
+}
+
+function tariffBandAtClock(tariff, { minute, day }) {
+  return tariff.bands.find(band => {
+    const start = parseClock(band.start), end = parseClock(band.end);
+    const inWindow = start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+    // An overnight band belongs to the day it started on
+    const bandDay = start > end && minute < end ? (day + 6) % 7 : day;
+    return inWindow && (!band.days || band.days.includes(bandDay));
+  }) || null;
+}
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Price a session against the tariff of its connector. Works on active sessions too (priced up to now).
+function priceSession(session) {
+  const tariff = tariffFor(session.station_id, session.connector_id);
+  if (!tariff) return null;
+
+  const start = new Date(session.start_time).getTime();
+  const end = session.end_time ? new Date(session.end_time).getTime() : Date.now();
+  const lines = new Map(); // band name (or 'base') -> { band, kwh, minutes, energy, time }
+  const line = band => {
+    const name = band ? band.name : 'base';
+    if (!lines.has(name)) lines.set(name, { band: name, kwh: 0, minutes: 0, energy: 0, time: 0 });
+    return lines.get(name);
+  };
+
+  // Energy at the band it was delivered in; energy without a timestamp counts at the session start
+  const profile = Object.entries(session.energy_profile || {});
+  const profiledWh = profile.reduce((sum, [, wh]) => sum + wh, 0);
+  const unprofiledWh = Math.max(0, (session.energy_wh ?? (session.energy_kwh || 0) * 1000) - profiledWh);
+  if (unprofiledWh > 0) profile.push([session.start_time, unprofiledWh]);
+  for (const [slot, wh] of profile) {
+    const band = tariffBandAt(tariff, slot);
+    const entry = line(band);
+    entry.kwh += wh / 1000;
+    entry.energy += (wh / 1000) * (band?.price_per_kwh ?? tariff.price_per_kwh);
+  }
+
+  // Time per stretch between band edges, so a session crossing into a band pays that band's rate from
+  // then on. A stretch is only taken whole if the wall clock moved as far as real time did; across a
+  // daylight saving change it is halved until it does.
+  const timed = tariff.price_per_minute > 0 || tariff.bands.some(b => b.price_per_minute > 0);
+  const sessionMinutes = Math.floor(Math.max(end - start, 0) / 60000);
+  const minutes = Math.min(sessionMinutes, MAX_PRICED_MINUTES);
+  let clock = timed && tariff.bands.length ? tariffClockAt(tariff, start) : null;
+  for (let i = 0; timed && i < minutes;) {
+    let step = minutes - i;
+    let next = null;
+    if (clock) {
+      step = Math.min(step, minutesToBandEdge(tariff, clock.minute));
+      next = tariffClockAt(tariff, start + (i + step) * 60000);
+      while (step > 1 && (next.minute - clock.minute - step) % 1440 !== 0) {
+        step = Math.ceil(step / 2);
+        next = tariffClockAt(tariff, start + (i + step) * 60000);
+      }
+    }
+    const band = clock ? tariffBandAtClock(tariff, clock) : null;
+    const entry = line(band);
+    entry.minutes += step;
+    entry.time += step * (band?.price_per_minute ?? tariff.price_per_minute);
+    clock = next;
+    i += step;
+  }
+
+  // Idle from the last moment energy flowed; a session that never drew power is not idle-billed
+  const lastActive = [session.last_energy_at, session.last_charging_at]
+    .map(t => t ? new Date(t).getTime() : NaN).filter(t => !isNaN(t));
+  let idleMinutes = 0, idleFee = 0;
+  if (lastActive.length && tariff.idle_fee_per_minute > 0) {
+    idleMinutes = Math.max(0, Math.floor((end - Math.max(...lastActive)) / 60000) - tariff.idle_grace_minutes);
+    idleFee = idleMinutes * tariff.idle_fee_per_minute;
+    if (tariff.idle_fee_max !== null) idleFee = Math.min(idleFee, tariff.idle_fee_max);
+  }
+
+  const bands = Array.from(lines.values()).map(entry => ({
+    band: entry.band, kwh: Math.round(entry.kwh * 1000) / 1000, minutes: entry.minutes,
+    energy: roundMoney(entry.energy), time: roundMoney(entry.time)
+  }));
+  const energy = roundMoney(bands.reduce((sum, b) => sum + b.energy, 0));
+  const time = roundMoney(bands.reduce((sum, b) => sum + b.time, 0));
+  return {
+    tariff_id: tariff.tariff_id,
+    tariff_name: tariff.name,
+    currency: tariff.currency,
+    energy,
+    time,
+    session_fee: roundMoney(tariff.session_fee),
+    idle: roundMoney(idleFee),
+    idle_minutes: idleMinutes,
+    total: roundMoney(energy + time + tariff.session_fee + idleFee),
+    bands,
+    ...(timed && sessionMinutes > minutes ? { unbilled_minutes: sessionMinutes - minutes } : {}),
+    priced_at: new Date().toISOString()
+  };
+}
+
+// "12.50 EUR + 3.00 GBP" over sessions that were priced
+function formatCostTotals(sessions) {
+  const totals = {};
+  for (const s of sessions) {
+    if (s.cost) totals[s.cost.currency] = (totals[s.cost.currency] || 0) + s.cost.total;
+  }
+  return formatCostMap(totals);
+}
+
+// Charge Detail Records - the billing view of a completed session. Customers are idTags;
+// member tags also roll up to their group (parent_id_tag) so a fleet gets one statement.
+const CDR_CSV_HEADER = 'CDR ID,idTag,Group,Station,Port,Start Time,End Time,Duration (min),Energy (kWh),Stop Reason,Tariff,Energy Cost,Time Cost,Session Fee,Idle Fee,Total Cost,Currency';
+
+function sessionCdr(session) {
+  return {
+    cdr_id: session.transaction_id,
+    id_tag: session.id_tag || null,
+    parent_id_tag: session.parent_id_tag || null,
+    stop_id_tag: session.stop_id_tag || null,
+    station_id: session.station_id,
+    connector_id: session.connector_id,
+    start_time: session.start_time,
+    end_time: session.end_time || null,
+    duration_minutes: session.duration_minutes || 0,
+    energy_kwh: Math.round((Number(session.energy_kwh) || 0) * 1000) / 1000,
+    stop_reason: session.stop_reason || null,
+    ocpp_version: session.ocpp_version || '1.6',
+    cost: session.cost || null
+  };
+}
+
+// idTags are free text from the charger, so fields are quoted when needed
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function cdrCsv(cdrs) {
+  return [CDR_CSV_HEADER, ...cdrs.map(c => [
+    c.cdr_id, c.id_tag, c.parent_id_tag, c.station_id, c.connector_id, c.start_time, c.end_time,
+    c.duration_minutes, c.energy_kwh, c.stop_reason, c.cost?.tariff_id,
+    c.cost?.energy, c.cost?.time, c.cost?.session_fee, c.cost?.idle, c.cost?.total, c.cost?.currency
+  ].map(csvField).join(','))].join('\n');
+}
+
+// Completed sessions of a month (YYYY-MM, optional) as CDRs, oldest first. idTag matches the
+// card itself or its group.
+async function queryCdrs({ month, idTag, station } = {}) {
+  const sessions = await storage.querySessions({
+    station: station || undefined,
+    from: month || undefined,
+    to: month ? `${month}\uffff` : undefined
+  });
+  return sessions
+    .filter(s => !idTag || s.id_tag === idTag || s.parent_id_tag === idTag)
+    .map(sessionCdr)
+    .sort((a, b) => a.start_time.localeCompare(b.start_time));
+}
+
+// Totals per customer. key picks the customer: the card (default) or its group.
+function summarizeCdrs(cdrs, key = cdr => cdr.id_tag) {
+  const customers = new Map();
+  for (const cdr of cdrs) {
+    const id = key(cdr) || null;
+    if (!customers.has(id)) {
+      customers.set(id, { id_tag: id, sessions: 0, energy_kwh: 0, duration_minutes: 0, cost: {}, unpriced_sessions: 0 });
+    }
+    const customer = customers.get(id);
+    customer.sessions++;
+    customer.energy_kwh = Math.round((customer.energy_kwh + cdr.energy_kwh) * 1000) / 1000;
+    customer.duration_minutes += cdr.duration_minutes;
+    if (cdr.cost) customer.cost[cdr.cost.currency] = roundMoney((customer.cost[cdr.cost.currency] || 0) + cdr.cost.total);
+    else customer.unpriced_sessions++;
+  }
+  return Array.from(customers.values()).sort((a, b) => String(a.id_tag).localeCompare(String(b.id_tag)));
+}
+
+function formatCostMap(cost) {
+  const parts = Object.entries(cost).map(([currency, total]) => `${total.toFixed(2)} ${currency}`);
+  return parts.length ? parts.join(' + ') : '—';
+}
+
+function generateLogsPage(sessions, filters) {
+  const { date, station, port } = filters;
+  
+  const totalSessions = sessions.length;
+  const totalEnergy = sessions.reduce((sum, s) => sum + (parseFloat(s.energy_kwh) || 0), 0);
+  const totalDuration = sessions.reduce((sum, s) => sum + (s.duration_minutes || 0), 0);
+  const avgDuration = totalSessions > 0 ? Math.round(totalDuration / totalSessions) : 0;
+
+  const byDate = {};
+  sessions.forEach(s => {
+    const day = s.start_time.split('T')[0];
+    if (!byDate[day]) byDate[day] = [];
+    byDate[day].push(s);
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>📊 Charging Logs & Reports</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; }
+    .container { max-width: 1400px; margin: 0 auto; }
+    .header { background: white; border-radius: 16px; padding: 30px; margin-bottom: 20px; box-shadow: 0 20px 60px rgba(0,0,0,0.1); }
+    .title { font-size: 32px; font-weight: 800; color: #667eea; }
+    .subtitle { color: #64748b; margin-top: 8px; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-bottom: 20px; }
+    .stat-card { background: white; border-radius: 12px; padding: 20px; box-shadow: 0 4px 12px rgba(0,0,0,0.05); }
+    .stat-label { color: #64748b; font-size: 12px; text-transform: uppercase; font-weight: 600; margin-bottom: 8px; }
+    .stat-value { font-size: 28px; font-weight: 700; color: #1e293b; }
+    .card { background: white; border-radius: 16px; padding: 25px; margin-bottom: 20px; box-shadow: 0 4px 20px rgba(0,0,0,0.08); }
+    .filters { display: flex; gap: 10px; margin-bottom: 20px; flex-wrap: wrap; }
+    .filters input, .filters select { padding: 10px; border: 2px solid #e2e8f0; border-radius: 8px; font-size: 14px; }
+    .btn { padding: 10px 20px; background: #667eea; color: white; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; }
+    .btn:hover { background: #5568d3; }
+    .btn-download { background: #10b981; }
+    .btn-download:hover { background: #059669; }
+    table { width: 100%; border-collapse: collapse; margin-top: 15px; }
+    th, td { padding: 12px; text-align: left; border-bottom: 1px solid #e2e8f0; }
+    th { background: #f8fafc; font-weight: 600; color: #64748b; font-size: 12px; text-transform: uppercase; }
+    .date-group { background: #f8fafc; padding: 15px; border-radius: 12px; margin-bottom: 15px; }
+    .date-header { font-size: 18px; font-weight: 700; color: #1e293b; margin-bottom: 10px; }
+    .port-badge { display: inline-block; padding: 4px 10px; background: #667eea; color: white; border-radius: 6px; font-size: 12px; font-weight: 600; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <div class="title">📊 Charging Logs & Reports</div>
+      <div class="subtitle">Complete session history with filtering and download</div>
+    </div>
+
+    <div class="stats">
+      <div class="stat-card">
+        <div class="stat-label">Total Sessions</div>
+        <div class="stat-value" style="color: #667eea;">${totalSessions}</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">Total Energy</div>
+        <div class="stat-value" style="color: #10b981;">${totalEnergy.toFixed(2)} kWh</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">Total Duration</div>
+        <div class="stat-value" style="color: #f59e0b;">${totalDuration} min</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">Avg Duration</div>
+        <div class="stat-value" style="color: #8b5cf6;">${avgDuration} min</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">Total Cost</div>
+        <div class="stat-value" style="color: #0ea5e9;">${formatCostTotals(sessions)}</div>
+      </div>
+    </div>
+
+    <div class="card">
+      <form class="filters" method="GET">
+        <input type="date" name="date" value="${escapeHtml(date)}" placeholder="Select Date">
+        <input type="month" name="month" value="${escapeHtml(filters.month)}" placeholder="Select Month">
+        <input type="text" name="station" value="${escapeHtml(station)}" placeholder="Station ID (e.g., 01)">
+        <input type="number" name="port" value="${escapeHtml(port)}" placeholder="Port (1-10)" min="1" max="10">
+        <button type="submit" class="btn">🔍 Filter</button>
+        <button type="submit" name="format" value="csv" class="btn btn-download">📥 Download CSV</button>
         <a href="/logs" class="btn" style="text-decoration:none;">🔄 Reset</a>
+        <a href="/statements${filters.month ? `?month=${encodeURIComponent(filters.month)}` : ''}" class="btn" style="text-decoration:none;">🧾 Statements</a>
         <a href="/" class="btn" style="text-decoration:none;">🏠 Dashboard</a>
       </form>
     </div>
@@ -283,7 +3727,7 @@ function generateLogsPage(sessions, filters) {
         return `
           <div class="card">
             <div class="date-group">
-              <div class="date-header">📅 ${day} - ${daySessions.length} sessions, ${dayEnergy.toFixed(2)} kWh</div>
+              <div class="date-header">📅 ${day} - ${daySessions.length} sessions, ${dayEnergy.toFixed(2)} kWh, ${formatCostTotals(daySessions)}</div>
             </div>
             <table>
               <thead>
@@ -296,19 +3740,21 @@ function generateLogsPage(sessions, filters) {
                   <th>Max Power (W)</th>
                   <th>Voltage (V)</th>
                   <th>Current (A)</th>
+                  <th>Cost</th>
                 </tr>
               </thead>
               <tbody>
                 ${daySessions.map(s => `
                   <tr>
-                    <td><span class="port-badge">Port ${s.connector_id}</span></td>
+                    <td><a href="/sessions/${encodeURIComponent(s.transaction_id)}" style="text-decoration:none;"><span class="port-badge">Port ${s.connector_id}</span></a></td>
                     <td>${new Date(s.start_time).toLocaleTimeString()}</td>
                     <td>${s.end_time ? new Date(s.end_time).toLocaleTimeString() : 'Active'}</td>
                     <td>${s.duration_minutes || 0} min</td>
-                    <td><strong>${(s.energy_kwh || 0).toFixed(5)}</strong></td>
-                    <td>${s.current_power_w || 0} W</td>
-                    <td>${(s.voltage_v || 0).toFixed(1)} V</td>
-                    <td>${(s.current_a || 0).toFixed(2)} A</td>
+                    <td><strong>${(Number(s.energy_kwh) || 0).toFixed(5)}</strong></td>
+                    <td>${(s.max_power_w ?? s.current_power_w ?? 0).toFixed(0)} W</td>
+                    <td>${(s.avg_voltage_v ?? s.voltage_v ?? 0).toFixed(1)} V</td>
+                    <td>${(s.avg_current_a ?? s.current_a ?? 0).toFixed(2)} A</td>
+                    <td>${s.cost ? `${s.cost.total.toFixed(2)} ${s.cost.currency}` : '—'}</td>
                   </tr>
                 `).join('')}
               </tbody>
@@ -322,12 +3768,670 @@ function generateLogsPage(sessions, filters) {
 </html>`;
 }
 
-function generateDashboard() {
+function generateSessionPage(txId, session, points) {
+  const isActive = activeSessions.has(txId);
+  const duration = session.duration_minutes ?? Math.floor((Date.now() - new Date(session.start_time)) / 60000);
+  const cost = session.cost || (isActive ? priceSession(session) : null);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>⚡ Session ${escapeHtml(txId)}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; }
+    .container { max-width: 1400px; margin: 0 auto; }
+    .header { background: white; border-radius: 16px; padding: 30px; margin-bottom: 20px; box-shadow: 0 20px 60px rgba(0,0,0,0.1); }
+    .title { font-size: 32px; font-weight: 800; color: #667eea; }
+    .subtitle { color: #64748b; margin-top: 8px; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 15px; margin-bottom: 20px; }
+    .stat-card { background: white; border-radius: 12px; padding: 20px; box-shadow: 0 4px 12px rgba(0,0,0,0.05); }
+    .stat-label { color: #64748b; font-size: 12px; text-transform: uppercase; font-weight: 600; margin-bottom: 8px; }
+    .stat-value { font-size: 24px; font-weight: 700; color: #1e293b; }
+    .card { background: white; border-radius: 16px; padding: 25px; margin-bottom: 20px; box-shadow: 0 4px 20px rgba(0,0,0,0.08); }
+    .card-title { font-size: 20px; font-weight: 700; color: #1e293b; margin-bottom: 15px; }
+    .btn { display: inline-block; padding: 12px 24px; background: #667eea; color: white; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; text-decoration: none; }
+    .empty { text-align: center; padding: 40px; color: #94a3b8; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <div class="title">⚡ Session ${escapeHtml(txId)}</div>
+      <div class="subtitle">Station ${escapeHtml(session.station_id)} · Port ${session.connector_id} · ${new Date(session.start_time).toLocaleString()} → ${session.end_time ? new Date(session.end_time).toLocaleString() : 'charging now'}</div>
+      <div style="margin-top: 15px;">
+        <a href="/logs" class="btn">← Logs</a>
+        <a href="/port/${session.connector_id}" class="btn" style="margin-left: 10px; background: #10b981;">🔌 Port ${session.connector_id}</a>
+        <a href="/api/sessions/${encodeURIComponent(txId)}/meter-values" class="btn" style="margin-left: 10px; background: #64748b;">{ } JSON</a>
+      </div>
+    </div>
+
+    <div class="stats">
+      <div class="stat-card"><div class="stat-label">Status</div><div class="stat-value">${!isActive ? 'Completed' : session.suspended_at ? 'Suspended' : 'Active'}</div></div>
+      <div class="stat-card"><div class="stat-label">Energy</div><div class="stat-value" style="color: #10b981;">${(Number(session.energy_kwh) || 0).toFixed(3)} kWh</div></div>
+      <div class="stat-card"><div class="stat-label">Duration</div><div class="stat-value" style="color: #f59e0b;">${duration} min</div></div>
+      <div class="stat-card"><div class="stat-label">Max Power</div><div class="stat-value" style="color: #8b5cf6;">${(session.max_power_w || 0).toFixed(0)} W</div></div>
+      <div class="stat-card"><div class="stat-label">Avg Power</div><div class="stat-value" style="color: #06b6d4;">${(session.avg_power_w || 0).toFixed(0)} W</div></div>
+      <div class="stat-card"><div class="stat-label">Samples</div><div class="stat-value">${points.length}</div></div>
+      ${session.interruptions?.length ? `<div class="stat-card"><div class="stat-label">Interruptions</div><div class="stat-value">${session.interruptions.length} (${formatDuration(session.interruptions.reduce((sum, i) => sum + Math.round((new Date(i.to) - new Date(i.from)) / 1000), 0))})</div></div>` : ''}
+      <div class="stat-card"><div class="stat-label">${isActive ? 'Cost so far' : 'Cost'}</div><div class="stat-value" style="color: #0ea5e9;">${cost ? `${cost.total.toFixed(2)} ${escapeHtml(cost.currency)}` : '—'}</div></div>
+    </div>
+
+    ${cost ? `<div class="card">
+      <div class="card-title">💶 Cost (${escapeHtml(cost.tariff_name)})</div>
+      <div class="stats">
+        <div class="stat-card"><div class="stat-label">Energy</div><div class="stat-value">${cost.energy.toFixed(2)}</div></div>
+        <div class="stat-card"><div class="stat-label">Time${cost.unbilled_minutes ? ` (first ${formatDuration(MAX_PRICED_MINUTES * 60)} only)` : ''}</div><div class="stat-value">${cost.time.toFixed(2)}</div></div>
+        <div class="stat-card"><div class="stat-label">Session Fee</div><div class="stat-value">${cost.session_fee.toFixed(2)}</div></div>
+        <div class="stat-card"><div class="stat-label">Idle (${cost.idle_minutes} min)</div><div class="stat-value">${cost.idle.toFixed(2)}</div></div>
+      </div>
+    </div>` : ''}
+
+    <div class="card">
+      <div class="card-title">📈 Power (W)</div>
+      ${renderLineChart(points, 'current_power_w', { label: 'Power', unit: 'W', color: '#8b5cf6' })}
+    </div>
+
+    <div class="card">
+      <div class="card-title">🔋 Energy Delivered (kWh)</div>
+      ${renderLineChart(points, 'energy_kwh', { label: 'Energy', unit: 'kWh', color: '#10b981' })}
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+const STATEMENT_STYLE = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f1f5f9; color: #1e293b; padding: 20px; }
+    .container { max-width: 1000px; margin: 0 auto; background: white; border-radius: 16px; padding: 40px; box-shadow: 0 4px 20px rgba(0,0,0,0.08); }
+    .title { font-size: 28px; font-weight: 800; color: #667eea; }
+    .subtitle { color: #64748b; margin-top: 6px; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 15px; margin: 25px 0; }
+    .stat-card { border: 1px solid #e2e8f0; border-radius: 12px; padding: 16px; }
+    .stat-label { color: #64748b; font-size: 12px; text-transform: uppercase; font-weight: 600; margin-bottom: 6px; }
+    .stat-value { font-size: 22px; font-weight: 700; }
+    .section-title { font-size: 18px; font-weight: 700; margin: 25px 0 10px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 10px; text-align: left; border-bottom: 1px solid #e2e8f0; font-size: 14px; }
+    th { background: #f8fafc; font-weight: 600; color: #64748b; font-size: 12px; text-transform: uppercase; }
+    td.num, th.num { text-align: right; }
+    .actions { display: flex; gap: 10px; margin-top: 20px; flex-wrap: wrap; }
+    .actions input { padding: 10px; border: 2px solid #e2e8f0; border-radius: 8px; font-size: 14px; }
+    .btn { display: inline-block; padding: 10px 20px; background: #667eea; color: white; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; text-decoration: none; font-size: 14px; }
+    .empty { text-align: center; padding: 40px; color: #94a3b8; }
+    @media print { body { background: white; padding: 0; } .container { box-shadow: none; padding: 0; } .actions { display: none; } }`;
+
+// /statements - every customer (group, or the card itself) that charged in a month
+function generateStatementsIndex(month, accounts) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>🧾 Statements ${month}</title>
+  <style>${STATEMENT_STYLE}</style>
+</head>
+<body>
+  <div class="container">
+    <div class="title">🧾 Customer Statements</div>
+    <div class="subtitle">${month} · member cards are billed to their group</div>
+    <form class="actions" method="GET">
+      <input type="month" name="month" value="${month}">
+      <button type="submit" class="btn">🔍 Show</button>
+      <a href="/api/cdrs?month=${month}&format=csv" class="btn" style="background: #10b981;">📥 CDRs (CSV)</a>
+      <a href="/logs" class="btn" style="background: #64748b;">📊 Logs</a>
+    </form>
+    ${accounts.length === 0 ? '<div class="empty">No completed sessions in this month</div>' : `
+    <table style="margin-top: 25px;">
+      <thead><tr><th>Customer</th><th class="num">Sessions</th><th class="num">Energy (kWh)</th><th class="num">Duration (min)</th><th class="num">Amount</th></tr></thead>
+      <tbody>
+        ${accounts.map(a => `<tr>
+          <td>${a.id_tag === null ? '<em>No idTag</em>' : `<a href="/statements/${encodeURIComponent(a.id_tag)}?month=${month}">${escapeHtml(a.id_tag)}</a>`}</td>
+          <td class="num">${a.sessions}</td>
+          <td class="num">${a.energy_kwh.toFixed(3)}</td>
+          <td class="num">${a.duration_minutes}</td>
+          <td class="num">${formatCostMap(a.cost)}${a.unpriced_sessions ? ` (${a.unpriced_sessions} unpriced)` : ''}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`}
+  </div>
+</body>
+</html>`;
+}
+
+// /statements/:idTag - printable monthly statement, one section per card
+function generateStatementPage(idTag, month, cdrs) {
+  const [total] = summarizeCdrs(cdrs, () => idTag);
+  const cards = summarizeCdrs(cdrs);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>🧾 Statement ${escapeHtml(idTag)} ${month}</title>
+  <style>${STATEMENT_STYLE}</style>
+</head>
+<body>
+  <div class="container">
+    <div class="title">🧾 Charging Statement</div>
+    <div class="subtitle">Customer <strong>${escapeHtml(idTag)}</strong> · Period ${month} · Generated ${new Date().toISOString().slice(0, 10)}</div>
+
+    <div class="stats">
+      <div class="stat-card"><div class="stat-label">Sessions</div><div class="stat-value">${total?.sessions || 0}</div></div>
+      <div class="stat-card"><div class="stat-label">Energy</div><div class="stat-value">${(total?.energy_kwh || 0).toFixed(3)} kWh</div></div>
+      <div class="stat-card"><div class="stat-label">Duration</div><div class="stat-value">${total?.duration_minutes || 0} min</div></div>
+      <div class="stat-card"><div class="stat-label">Amount Due</div><div class="stat-value" style="color: #0ea5e9;">${total ? formatCostMap(total.cost) : '—'}</div></div>
+    </div>
+
+    ${cdrs.length === 0 ? '<div class="empty">No completed sessions in this period</div>' : cards.map(card => `
+    <div class="section-title">💳 ${escapeHtml(card.id_tag ?? 'No idTag')} · ${card.sessions} sessions · ${formatCostMap(card.cost)}</div>
+    <table>
+      <thead><tr><th>Date</th><th>Station</th><th>Port</th><th>Start</th><th>End</th><th class="num">Minutes</th><th class="num">kWh</th><th class="num">Amount</th></tr></thead>
+      <tbody>
+        ${cdrs.filter(c => c.id_tag === card.id_tag).map(c => `<tr>
+          <td>${c.start_time.slice(0, 10)}</td>
+          <td>${escapeHtml(c.station_id)}</td>
+          <td>${c.connector_id}</td>
+          <td>${new Date(c.start_time).toLocaleTimeString()}</td>
+          <td>${c.end_time ? new Date(c.end_time).toLocaleTimeString() : '—'}</td>
+          <td class="num">${c.duration_minutes}</td>
+          <td class="num">${c.energy_kwh.toFixed(3)}</td>
+          <td class="num">${c.cost ? `${c.cost.total.toFixed(2)} ${c.cost.currency}` : '—'}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`).join('')}
+
+    <div class="actions">
+      <button class="btn" onclick="window.print()">🖨️ Print</button>
+      <a href="/api/cdrs?month=${month}&id_tag=${encodeURIComponent(idTag)}&format=csv" class="btn" style="background: #10b981;">📥 CSV</a>
+      <a href="/statements?month=${month}" class="btn" style="background: #64748b;">← All statements</a>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+// /stations/:id - one charger: identity, connectors and its configuration (1.6 keys or 2.0.1 device model)
+function generateStationPage(device, identity) {
+  const stationId = device.station_id;
+  const v201 = device.ocpp_protocol === 'ocpp2.0.1';
+  const canEdit = hasRole(identity, 'admin');
+  const configuration = Object.entries(device.configuration || {}).sort(([a], [b]) => a.localeCompare(b));
+  const variables = Array.from((deviceModels.get(stationId) || new Map()).values()).sort((a, b) => a.key.localeCompare(b.key));
+  const templates = templatesFor(stationId);
+  const rollouts = Array.from(firmwareRollouts.values()).filter(r => r.stations[stationId]).reverse().slice(0, 5);
+  const diagnostics = Array.from(diagnosticsRequests.values()).filter(d => d.station_id === stationId)
+    .sort((a, b) => b.requested_at.localeCompare(a.requested_at)).slice(0, 5);
+  const history = (connectionHistory.get(stationId) || []).slice(-30).reverse();
+  const uptimes = [['24h', uptimeStats(stationId, 24 * 60 * 60 * 1000)], ['7 days', uptimeStats(stationId, 7 * 24 * 60 * 60 * 1000)]];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>🔧 Station ${escapeHtml(stationId)}</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; }
+    .container { max-width: 1400px; margin: 0 auto; }
+    .header { background: white; border-radius: 16px; padding: 30px; margin-bottom: 20px; box-shadow: 0 20px 60px rgba(0,0,0,0.1); }
+    .title { font-size: 32px; font-weight: 800; color: #667eea; }
+    .subtitle { color: #64748b; margin-top: 8px; }
+    .card { background: white; border-radius: 16px; padding: 25px; margin-bottom: 20px; box-shadow: 0 4px 20px rgba(0,0,0,0.08); }
+    .card-title { font-size: 20px; font-weight: 700; color: #1e293b; margin-bottom: 15px; display: flex; justify-content: space-between; align-items: center; }
+    .meta { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 10px; font-size: 14px; color: #64748b; }
+    .btn { display: inline-block; padding: 10px 20px; background: #667eea; color: white; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; text-decoration: none; font-size: 14px; }
+    .btn:hover { background: #5568d3; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 10px; text-align: left; border-bottom: 1px solid #e2e8f0; font-size: 13px; }
+    th { background: #f8fafc; font-weight: 600; color: #64748b; font-size: 11px; text-transform: uppercase; }
+    td input { width: 100%; padding: 6px 8px; border: 2px solid #e2e8f0; border-radius: 6px; font-size: 13px; }
+    .key { font-family: 'Courier New', monospace; font-weight: 600; color: #1e293b; }
+    .cfg-btn { padding: 6px 10px; border: none; border-radius: 6px; background: #667eea; color: white; font-size: 12px; font-weight: 600; cursor: pointer; }
+    .cfg-btn:disabled { opacity: 0.6; cursor: wait; }
+    .cfg-result { font-size: 12px; font-weight: 600; }
+    .cfg-ok { color: #059669; }
+    .cfg-fail { color: #dc2626; }
+    .empty { text-align: center; padding: 40px; color: #94a3b8; font-size: 14px; }
+    ${OPERATIONS_STYLE}
+  </style>
+  <script>
+    ${OPERATIONS_SCRIPT}
+
+    const STATION_ID = ${JSON.stringify(stationId).replace(/</g, '\\u003c')};
+    const CONFIG_ACCEPTED = ['Accepted', 'RebootRequired'];
+
+    async function stationRequest(method, path, body) {
+      const res = await fetch(path, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body || {}) });
+      return res.json();
+    }
+
+    async function saveConfigurationKey(btn) {
+      const row = btn.closest('tr');
+      const result = row.querySelector('.cfg-result');
+      result.className = 'cfg-result';
+      result.textContent = '⏳';
+      btn.disabled = true;
+      try {
+        const reply = await stationRequest('PUT', '/api/devices/' + encodeURIComponent(STATION_ID) + '/configuration/' + encodeURIComponent(row.dataset.key),
+          { value: row.querySelector('input').value });
+        const status = reply.response?.status || reply.error || reply.status;
+        result.className = 'cfg-result ' + (CONFIG_ACCEPTED.includes(status) ? 'cfg-ok' : 'cfg-fail');
+        result.textContent = status === 'RebootRequired' ? '⚠️ RebootRequired' : status;
+      } catch (error) {
+        result.className = 'cfg-result cfg-fail';
+        result.textContent = error.message;
+      } finally {
+        btn.disabled = false;
+      }
+    }
+
+    async function refreshConfiguration(btn) {
+      btn.disabled = true;
+      btn.textContent = '⏳ Reading...';
+      const reply = await stationRequest('POST', '/api/devices/' + encodeURIComponent(STATION_ID) + '/configuration');
+      if (reply.success) location.reload();
+      else btn.textContent = '❌ ' + (reply.error?.description || reply.error || reply.status);
+    }
+
+    async function requestStationDiagnostics(btn) {
+      btn.disabled = true;
+      btn.textContent = '⏳ Requesting...';
+      const reply = await stationRequest('POST', '/api/devices/' + encodeURIComponent(STATION_ID) + '/diagnostics');
+      if (reply.success) location.reload();
+      else btn.textContent = '❌ ' + (reply.diagnostics?.status || reply.error?.description || reply.error || reply.status);
+    }
+
+    async function applyStationTemplate(btn) {
+      const result = btn.nextElementSibling;
+      btn.disabled = true;
+      result.textContent = '⏳';
+      const reply = await stationRequest('POST', '/api/config/templates/' + encodeURIComponent(btn.dataset.template) + '/apply', { stations: [STATION_ID] });
+      btn.disabled = false;
+      result.textContent = reply.success ?
+        Object.entries(reply.results[STATION_ID] || {}).map(([key, status]) => key + ': ' + status).join(', ') :
+        reply.error;
+    }
+  </script>
+</head>
+<body class="${hasRole(identity, 'operator') ? 'can-operate' : ''}">
+  <div class="container">
+    <div class="header">
+      <div class="title">🔧 Station ${escapeHtml(stationId)}</div>
+      <div class="subtitle">${device.status === 'offline' ? '⚠️ Offline' : device.socket ? '✅ Online' : '⚪ Disconnected'} · ${v201 ? 'OCPP 2.0.1' : 'OCPP 1.6'} · ${escapeHtml(device.vendor || 'N/A')} ${escapeHtml(device.model)}</div>
+      <div style="margin-top: 15px;">
+        <a href="/" class="btn">← Dashboard</a>
+      </div>
+      ${renderStationActions(device)}
+    </div>
+
+    <div class="card">
+      <div class="card-title">📱 Device</div>
+      <div class="meta">
+        <div><strong>Firmware:</strong> ${escapeHtml(device.firmware || 'N/A')}</div>
+        <div><strong>Serial:</strong> ${escapeHtml(device.serial_number || 'N/A')}</div>
+        <div><strong>Booted:</strong> ${device.booted_at ? new Date(device.booted_at).toLocaleString() : 'N/A'}</div>
+        <div><strong>Connected:</strong> ${device.connected_at ? new Date(device.connected_at).toLocaleString() : 'N/A'}</div>
+        ${Object.values(device.connectors || {}).map(c =>
+          `<div><strong>Connector ${c.connector_id}:</strong> ${escapeHtml(c.status)}${c.error_code !== 'NoError' ? ` ⚠️ ${escapeHtml(c.error_code)}` : ''}</div>`).join('')}
+      </div>
+    </div>
+
+    <div class="card">
+      <div class="card-title">📶 Connection</div>
+      <div class="meta">
+        <div><strong>Heartbeat:</strong> every ${heartbeatIntervalOf(device)}s${configuredHeartbeatInterval(device) ? ' (configured)' : ''}</div>
+        <div><strong>Offline after:</strong> ${heartbeatIntervalOf(device) * MISSED_HEARTBEATS_OFFLINE + OFFLINE_GRACE_S}s of silence</div>
+        <div><strong>Last seen:</strong> ${device.last_seen_at ? new Date(device.last_seen_at).toLocaleString() : 'N/A'}</div>
+        ${uptimes.map(([label, u]) => `<div><strong>Uptime (${label}):</strong> ${u && u.uptime_percent !== null ? `${u.uptime_percent}% · ${u.disconnects} disconnects · ${u.offline_events} offline` : 'N/A'}</div>`).join('')}
+      </div>
+      ${history.length ? `
+      <table style="margin-top: 15px;">
+        <thead><tr><th>Time</th><th>Event</th><th>Duration</th><th>Detail</th></tr></thead>
+        <tbody>
+          ${history.map(e => `<tr><td>${new Date(e.at).toLocaleString()}</td><td>${e.event}</td><td>${e.duration_s !== null ? formatDuration(e.duration_s) : '—'}</td><td>${escapeHtml(e.detail)}</td></tr>`).join('')}
+        </tbody>
+      </table>` : ''}
+    </div>
+
+    <div class="card">
+      <div class="card-title">
+        <span>📦 Firmware & Diagnostics</span>
+        ${hasRole(identity, 'operator') && device.socket ? '<button class="btn" onclick="requestStationDiagnostics(this)">🩺 Request diagnostics</button>' : ''}
+      </div>
+      <div class="meta">
+        <div><strong>Firmware:</strong> ${escapeHtml(device.firmware || 'N/A')}</div>
+        <div><strong>Last firmware status:</strong> ${device.firmware_status ? `${escapeHtml(device.firmware_status.status)} (${new Date(device.firmware_status.at).toLocaleString()})` : 'N/A'}</div>
+      </div>
+      ${rollouts.length ? `
+      <table style="margin-top: 15px;">
+        <thead><tr><th>Rollout</th><th>File</th><th>Status</th><th>Updated</th></tr></thead>
+        <tbody>
+          ${rollouts.map(r => `<tr><td class="key">${escapeHtml(r.rollout_id)}</td><td>${escapeHtml(r.file)}${r.version ? ` (${escapeHtml(r.version)})` : ''}</td><td>${escapeHtml(r.stations[stationId].status)}</td><td>${new Date(r.stations[stationId].updated_at).toLocaleString()}</td></tr>`).join('')}
+        </tbody>
+      </table>` : ''}
+      ${diagnostics.length ? `
+      <table style="margin-top: 15px;">
+        <thead><tr><th>Diagnostics requested</th><th>By</th><th>Status</th><th>File</th></tr></thead>
+        <tbody>
+          ${diagnostics.map(d => `<tr><td>${new Date(d.requested_at).toLocaleString()}</td><td>${escapeHtml(d.requested_by)}</td><td>${escapeHtml(d.status)}</td><td>${d.upload ? `<a href="/api/diagnostics/${encodeURIComponent(d.request_id)}/file">${escapeHtml(d.upload.file_name)}</a> (${d.upload.size} bytes)` : escapeHtml(d.file_name || '—')}</td></tr>`).join('')}
+        </tbody>
+      </table>` : ''}
+    </div>
+
+    ${v201 ? `
+    <div class="card">
+      <div class="card-title">🧩 Device Model (${variables.length} variables)</div>
+      ${variables.length === 0 ? '<div class="empty">No NotifyReport received yet - POST /api/devices/:id/device-model to request one</div>' : `
+      <table>
+        <thead><tr><th>Variable</th><th>Value</th><th>Mutability</th></tr></thead>
+        <tbody>
+          ${variables.map(v => `<tr><td class="key">${escapeHtml(v.key)}</td><td>${escapeHtml(v.attributes.Actual?.value)}</td><td>${escapeHtml(v.attributes.Actual?.mutability || 'ReadWrite')}</td></tr>`).join('')}
+        </tbody>
+      </table>`}
+    </div>` : `
+    <div class="card">
+      <div class="card-title">
+        <span>⚙️ Configuration (${configuration.length} keys${device.configuration_fetched_at ? `, read ${new Date(device.configuration_fetched_at).toLocaleString()}` : ''})</span>
+        ${hasRole(identity, 'operator') && device.socket ? '<button class="btn" onclick="refreshConfiguration(this)">🔄 Read from charger</button>' : ''}
+      </div>
+      ${configuration.length === 0 ? '<div class="empty">No configuration read yet - it is fetched after every BootNotification</div>' : `
+      <table>
+        <thead><tr><th style="width: 30%;">Key</th><th>Value</th><th style="width: 80px;"></th><th style="width: 160px;"></th></tr></thead>
+        <tbody>
+          ${configuration.map(([key, entry]) => `
+          <tr data-key="${escapeHtml(key)}">
+            <td class="key">${escapeHtml(key)}${entry.readonly ? ' 🔒' : ''}</td>
+            <td>${canEdit && !entry.readonly ? `<input value="${escapeHtml(entry.value)}">` : escapeHtml(entry.value)}</td>
+            <td>${canEdit && !entry.readonly && device.socket ? '<button class="cfg-btn" onclick="saveConfigurationKey(this)">Save</button>' : ''}</td>
+            <td><span class="cfg-result">${entry.reboot_required ? '⚠️ RebootRequired' : ''}</span></td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`}
+      ${(device.configuration_unknown_keys || []).length ? `<p style="margin-top: 10px; color: #64748b; font-size: 13px;">Unknown to the charger: ${escapeHtml(device.configuration_unknown_keys.join(', '))}</p>` : ''}
+    </div>`}
+
+    <div class="card">
+      <div class="card-title">📋 Configuration Templates</div>
+      ${templates.length === 0 ? '<div class="empty">No template includes this station</div>' : `
+      <table>
+        <thead><tr><th>Template</th><th>Settings</th><th>On boot</th><th></th></tr></thead>
+        <tbody>
+          ${templates.map(t => `
+          <tr>
+            <td class="key">${escapeHtml(t.name)}</td>
+            <td>${Object.entries(t.settings).map(([key, value]) => `${escapeHtml(key)} = ${escapeHtml(value)}`).join('<br>')}</td>
+            <td>${t.apply_on_boot ? 'Yes' : 'No'}</td>
+            <td>${canEdit && device.socket && !v201 ? `<button class="cfg-btn" data-template="${escapeHtml(t.template_id)}" onclick="applyStationTemplate(this)">Apply now</button> <span class="cfg-result"></span>` : ''}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`}
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+// DOM id for a station on the dashboard - station ids can contain anything
+function domId(prefix, value) {
+  return `${prefix}-${String(value).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+}
+
+// Dashboard fragments. Each one carries a stable id so live events can swap it in place.
+function renderDashboardStats() {
+  const devices = Array.from(connectedDevices.values());
+  const sessions = Array.from(activeSessions.values());
+  const online = devices.filter(d => d.status !== 'offline').length;
+  const totalPower = sessions.reduce((sum, s) => sum + (s.current_power_w || 0), 0);
+
+  return `<div class="stats" id="dashboard-stats">
+      <div class="stat-card">
+        <div class="stat-label">Connected Devices</div>
+        <div class="stat-value" style="color: ${online > 0 ? '#10b981' : '#ef4444'};">${online}</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">Active Ports</div>
+        <div class="stat-value" style="color: #f59e0b;">${sessions.filter(s => (s.current_power_w || 0) > 1).length}/10</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">Total Power</div>
+        <div class="stat-value" style="color: #8b5cf6;">${totalPower.toFixed(0)} W</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-label">Total Energy</div>
+        <div class="stat-value" style="color: #06b6d4;">${sessions.reduce((sum, s) => sum + (Number(s.energy_kwh) || 0), 0).toFixed(5)} kWh</div>
+      </div>
+    </div>`;
+}
+
+// Badge colour per OCPP connector status
+const CONNECTOR_BADGES = {
+  Available: 'badge-idle',
+  Charging: 'badge-success',
+  Occupied: 'badge-success',
+  Faulted: 'badge-danger',
+  Unavailable: 'badge-danger'
+};
+
+const OPERATIONS_STYLE = `
+    .ops { display: none; flex-wrap: wrap; gap: 6px; margin-top: 12px; align-items: center; }
+    body.can-operate .ops { display: flex; }
+    .op-btn { padding: 6px 10px; border: none; border-radius: 6px; background: #667eea; color: white; font-size: 12px; font-weight: 600; cursor: pointer; }
+    .op-btn:hover { background: #5568d3; }
+    .op-btn:disabled { opacity: 0.6; cursor: wait; }
+    .port-card.active .op-btn { background: rgba(255,255,255,0.25); }
+    .op-result { flex-basis: 100%; font-size: 12px; font-weight: 600; color: #64748b; }
+    .op-result.op-ok { color: #059669; }
+    .op-result.op-fail { color: #dc2626; }
+    .port-card.active .op-result { color: white; }`;
+
+const OPERATIONS_SCRIPT = `
+    // Remote operations: POST /command and show the charger's answer under the buttons. Results are
+    // kept per station/connector so a live fragment swap doesn't wipe them.
+    const opResults = {};
+    function setOpResult(key, text, ok) {
+      opResults[key] = { text, ok };
+      restoreOpResults();
+    }
+    function restoreOpResults() {
+      for (const el of document.querySelectorAll('.op-result')) {
+        const result = opResults[el.dataset.opKey];
+        if (!result) continue;
+        el.textContent = result.text;
+        el.className = 'op-result' + (result.ok === true ? ' op-ok' : result.ok === false ? ' op-fail' : '');
+      }
+    }
+    document.addEventListener('click', async (e) => {
+      const btn = e.target.closest('.op-btn');
+      if (!btn) return;
+      const { station, action } = btn.dataset;
+      const payload = JSON.parse(btn.dataset.payload);
+      if (btn.dataset.prompt) {
+        const idTag = (prompt(btn.dataset.prompt) || '').trim();
+        if (!idTag) return;
+        if (action === 'RequestStartTransaction') {
+          payload.idToken = { idToken: idTag, type: 'Central' };
+          payload.remoteStartId = Math.floor(Date.now() / 1000) % 2147483647;
+        } else {
+          payload.idTag = idTag;
+        }
+      }
+      if (btn.dataset.confirm && !confirm(btn.dataset.confirm)) return;
+
+      const key = btn.parentElement.querySelector('.op-result').dataset.opKey;
+      setOpResult(key, '⏳ ' + action + '...', null);
+      btn.disabled = true;
+      try {
+        const res = await fetch('/command', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ station_id: station, action, payload })
+        });
+        const result = await res.json();
+        const answer = result.response?.status || result.error || result.status;
+        setOpResult(key, (result.success ? '✅ ' : '❌ ') + action + ': ' + answer, result.success);
+      } catch (error) {
+        setOpResult(key, '❌ ' + action + ': ' + error.message, false);
+      } finally {
+        btn.disabled = false;
+      }
+    });`;
+
+// Remote operation buttons. Fragments go to every dashboard viewer alike, so the buttons are always
+// rendered and the page's can-operate class decides whether they show; /command checks the role again.
+function opButton(stationId, label, action, payload, { prompt, confirm } = {}) {
+  return `<button type="button" class="op-btn" data-station="${escapeHtml(stationId)}" data-action="${action}" data-payload="${escapeHtml(JSON.stringify(payload))}"` +
+    `${prompt ? ` data-prompt="${escapeHtml(prompt)}"` : ''}${confirm ? ` data-confirm="${escapeHtml(confirm)}"` : ''}>${label}</button>`;
+}
+
+// Start or stop, unlock and availability for one connector, in the station's OCPP version
+function renderConnectorActions(stationId, connectorId, txId, connector) {
+  const device = connectedDevices.get(stationId);
+  if (!device?.socket || device.status === 'offline') return '';
+  const v201 = device.ocpp_protocol === 'ocpp2.0.1';
+  const enable = connector?.status === 'Unavailable';
+  const buttons = [
+    txId ?
+      opButton(stationId, '⏹ Stop', v201 ? 'RequestStopTransaction' : 'RemoteStopTransaction',
+        { transactionId: v201 ? activeSessions.get(txId)?.ocpp_transaction_id ?? txId : /^\d+$/.test(txId) ? parseInt(txId) : txId }, { confirm: `Stop the session on ${stationId} Port ${connectorId}?` }) :
+      opButton(stationId, '▶ Start', v201 ? 'RequestStartTransaction' : 'RemoteStartTransaction',
+        v201 ? { evseId: connectorId, remoteStartId: 0 } : { connectorId }, { prompt: `idTag to start ${stationId} Port ${connectorId} with` }),
+    opButton(stationId, '🔓 Unlock', 'UnlockConnector', v201 ? { evseId: connectorId, connectorId: 1 } : { connectorId },
+      { confirm: `Unlock ${stationId} Port ${connectorId}?` }),
+    opButton(stationId, enable ? '✅ Enable' : '🚫 Disable', 'ChangeAvailability', v201 ?
+      { operationalStatus: enable ? 'Operative' : 'Inoperative', evse: { id: connectorId } } :
+      { connectorId, type: enable ? 'Operative' : 'Inoperative' })
+  ];
+  return `<div class="ops">${buttons.join('')}<div class="op-result" data-op-key="${escapeHtml(stationId)}:${connectorId}"></div></div>`;
+}
+
+// Reset and whole-station availability
+function renderStationActions(d) {
+  if (!d.socket || d.status === 'offline') return '';
+  const v201 = d.ocpp_protocol === 'ocpp2.0.1';
+  const buttons = [
+    opButton(d.station_id, '🔄 Soft reset', 'Reset', { type: v201 ? 'OnIdle' : 'Soft' }, { confirm: `Soft reset ${d.station_id}?` }),
+    opButton(d.station_id, '⚡ Hard reset', 'Reset', { type: v201 ? 'Immediate' : 'Hard' },
+      { confirm: `Hard reset ${d.station_id}? Running sessions are interrupted.` }),
+    opButton(d.station_id, '✅ Enable', 'ChangeAvailability', v201 ? { operationalStatus: 'Operative' } : { connectorId: 0, type: 'Operative' }),
+    opButton(d.station_id, '🚫 Disable', 'ChangeAvailability', v201 ? { operationalStatus: 'Inoperative' } : { connectorId: 0, type: 'Inoperative' },
+      { confirm: `Take all of ${d.station_id} out of service?` })
+  ];
+  return `<div class="ops">${buttons.join('')}<div class="op-result" data-op-key="${escapeHtml(d.station_id)}"></div></div>`;
+}
+
+function renderPortCard(portNum) {
+  const [txId, session] = Array.from(activeSessions.entries()).find(([, s]) => s.connector_id === portNum) || [];
+  const power = session?.current_power_w || 0;
+  const isActive = !!session && power > 1;
+  const energy = Number(session?.energy_kwh) || 0;
+  const duration = session ? Math.floor((Date.now() - new Date(session.start_time)) / 60000) : 0;
+
+  // Connector state from the session's station, or from any online station reporting this port
+  const stationId = session ? session.station_id :
+    Array.from(connectedDevices.values()).find(d => d.status !== 'offline' && d.connectors?.[portNum])?.station_id ||
+    Array.from(reservations.values()).find(r => r.status === 'Active' && r.connector_id === portNum)?.station_id;
+  const connector = connectedDevices.get(stationId)?.connectors?.[portNum];
+  const reservation = !session && stationId ? activeReservation(stationId, portNum) : null;
+  const suspended = !!session?.suspended_at;
+  const badgeClass = suspended || reservation ? 'badge-warning' : connector ? CONNECTOR_BADGES[connector.status] || 'badge-warning' : isActive ? 'badge-success' : 'badge-idle';
+  const badgeText = suspended ? 'SUSPENDED' : reservation ? 'RESERVED' : connector ? escapeHtml(connector.status.toUpperCase()) : isActive ? 'CHARGING' : 'AVAILABLE';
+  const idleText = connector && connector.error_code !== 'NoError' ?
+    `⚠️ ${escapeHtml(connector.error_code)}${connector.info ? ` - ${escapeHtml(connector.info)}` : ''}` :
+    reservation ? `📅 Reserved for ${escapeHtml(reservation.id_tag)} until ${new Date(reservation.expiry_date).toLocaleTimeString()}` :
+    suspended ? `⏸️ Session on hold since ${new Date(session.suspended_at).toLocaleTimeString()} (${session.suspend_reason})` :
+    connector && connector.status !== 'Available' ? escapeHtml(connector.status) : 'Available for charging';
+
+  return `
+            <div class="port-card ${isActive ? 'active' : ''}" id="port-${portNum}">
+              <div class="port-header">
+                <a href="/port/${portNum}" style="text-decoration: none; color: inherit;">
+                  <div class="port-number" style="cursor: pointer;">Port ${portNum}</div>
+                </a>
+                <span class="badge ${badgeClass}">${badgeText}</span>
+              </div>
+              <div class="power-display">
+                <div class="power-value">${power.toFixed(0)}</div>
+                <div class="power-label">WATTS</div>
+              </div>
+              ${isActive ? `
+                <div class="energy-display">
+                  <div class="energy-item">
+                    <div>⚡ Energy</div>
+                    <div class="energy-value">${energy.toFixed(5)} kWh</div>
+                  </div>
+                  <div class="energy-item">
+                    <div>⏱️ Duration</div>
+                    <div class="energy-value">${duration}m</div>
+                  </div>
+                  <div class="energy-item">
+                    <div>🔌 Voltage</div>
+                    <div class="energy-value">${(session?.voltage_v || 0).toFixed(1)}V</div>
+                  </div>
+                  <div class="energy-item">
+                    <div>⚙️ Current</div>
+                    <div class="energy-value">${(session?.current_a || 0).toFixed(2)}A</div>
+                  </div>
+                  <div class="energy-item">
+                    <div>🌡️ Temp</div>
+                    <div class="energy-value">${(session?.temperature_c || 0).toFixed(0)}°C</div>
+                  </div>
+                  ${session?.charging_limit ? `
+                  <div class="energy-item">
+                    <div>🎛️ Limit</div>
+                    <div class="energy-value">${session.charging_limit.limit}${session.charging_limit.unit}</div>
+                  </div>` : ''}
+                  ${session?.soc_percent !== undefined ? `
+                  <div class="energy-item">
+                    <div>🔋 SoC</div>
+                    <div class="energy-value">${session.soc_percent.toFixed(0)}%</div>
+                  </div>` : ''}
+                </div>
+              ` : `<div style="text-align: center; padding: 10px; color: #94a3b8; font-size: 12px;">${idleText}</div>`}
+              ${isActive && suspended ? `<div style="text-align: center; padding-top: 10px; font-size: 12px;">⏸️ On hold since ${new Date(session.suspended_at).toLocaleTimeString()} (${session.suspend_reason})</div>` : ''}
+              ${stationId ? renderConnectorActions(stationId, portNum, txId, connector) : ''}
+            </div>
+          `;
+}
+
+function renderDeviceItem(d) {
+  const uptime = uptimeStats(d.station_id, 24 * 60 * 60 * 1000);
+  return `
+          <div class="device-item ${d.status === 'offline' ? 'offline' : ''}" id="${domId('device', d.station_id)}">
+            <div class="device-name"><a href="/stations/${encodeURIComponent(d.station_id)}" style="color: inherit; text-decoration: none;">${escapeHtml(d.station_id)}</a>
+              <span class="badge ${d.status === 'offline' ? 'badge-danger' : 'badge-success'}">
+                ${d.status === 'offline' ? '⚠️ OFFLINE' : '✅ ONLINE'}
+              </span>
+            </div>
+            <div class="device-meta">
+              <div><strong>Vendor:</strong> ${escapeHtml(d.vendor || 'N/A')}</div>
+              <div><strong>Model:</strong> ${escapeHtml(d.model || 'N/A')}</div>
+              <div><strong>Firmware:</strong> ${escapeHtml(d.firmware || 'N/A')}</div>
+              <div><strong>Protocol:</strong> ${d.ocpp_protocol === 'ocpp2.0.1' ? 'OCPP 2.0.1' : 'OCPP 1.6'}</div>
+              <div><strong>Connected:</strong> ${new Date(d.connected_at).toLocaleTimeString()}</div>
+              <div><strong>Status:</strong> ${d.status === 'offline' ? 'No internet or powered off' : 'Active'}</div>
+              <div><strong>Heartbeat:</strong> every ${heartbeatIntervalOf(d)}s</div>
+              ${uptime && uptime.uptime_percent !== null ? `<div><strong>Uptime (24h):</strong> ${uptime.uptime_percent}%${uptime.disconnects ? ` · ${uptime.disconnects} disconnects` : ''}${uptime.offline_events ? ` · ${uptime.offline_events} offline` : ''}</div>` : ''}
+              ${d.connectors ? `<div><strong>Connectors:</strong> ${Object.values(d.connectors).map(c =>
+                `${c.connector_id}: ${escapeHtml(c.status)}${c.error_code !== 'NoError' ? ` ⚠️ ${escapeHtml(c.error_code)}` : ''}`).join(' · ')}</div>` : ''}
+            </div>
+            ${renderStationActions(d)}
+          </div>
+        `;
+}
+
+function renderLogEntry(l) {
+  return `<div class="log-entry">[${new Date(l.timestamp).toLocaleTimeString()}] ${escapeHtml(l.message)}</div>`;
+}
+
+function generateDashboard(identity) {
   const devices = Array.from(connectedDevices.values());
-  const sessions = Array.from(activeSessions.values());
-  
-  const totalPower = sessions.reduce((sum, s) => sum + (s.current_power_w || 0), 0);
-  
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -376,149 +4480,941 @@ function generateDashboard() {
     .log { background: #1e293b; border-radius: 12px; padding: 20px; max-height: 300px; overflow-y: auto; font-family: 'Courier New', monospace; font-size: 12px; }
     .log-entry { color: #10b981; margin-bottom: 4px; }
     .empty { text-align: center; padding: 40px; color: #94a3b8; font-size: 14px; }
+    ${OPERATIONS_STYLE}
   </style>
   <script>
-    setInterval(() => location.reload(), 3000);
+    ${OPERATIONS_SCRIPT}
+
+    // Live updates: every event may carry pre-rendered fragments to swap in by id
+    function applyFragments(fragments) {
+      for (const f of fragments || []) {
+        const el = document.getElementById(f.id);
+        if (el) {
+          el.outerHTML = f.html;
+        } else if (f.parent) {
+          const parent = document.getElementById(f.parent);
+          if (!parent) continue;
+          parent.insertAdjacentHTML(f.prepend ? 'afterbegin' : 'beforeend', f.html);
+          document.getElementById('devices-empty')?.remove();
+          if (f.limit) while (parent.children.length > f.limit) parent.lastElementChild.remove();
+        }
+      }
+      restoreOpResults();
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+      const status = document.getElementById('live-status');
+      const source = new EventSource('/events');
+      let opened = false;
+      source.onopen = () => {
+        // After a dropped stream the page may have missed events - resync once
+        if (opened) location.reload();
+        opened = true;
+        status.textContent = '🟢 Live';
+      };
+      source.onerror = () => { status.textContent = '🔴 Reconnecting...'; };
+      for (const type of ${JSON.stringify(EVENT_TYPES)}) {
+        source.addEventListener(type, (e) => applyFragments(JSON.parse(e.data).fragments));
+      }
+    });
   </script>
 </head>
-<body>
+<body class="${hasRole(identity, 'operator') ? 'can-operate' : ''}">
   <div class="container">
     <div class="header">
       <div class="title">⚡ OCPP Server Dashboard v3.0</div>
-      <div class="subtitle">Live Port Monitoring + Device Status - Auto-refresh every 3 seconds | <a href="/logs" style="color:#667eea;text-decoration:none;font-weight:600;">📊 View Logs & Reports</a> | <a href="/tutorial" style="color:#10b981;text-decoration:none;font-weight:600;">📚 Integration Tutorial</a></div>
+      <div class="subtitle">Live Port Monitoring + Device Status - <span id="live-status">⚪ Connecting...</span> | <a href="/logs" style="color:#667eea;text-decoration:none;font-weight:600;">📊 View Logs & Reports</a> | <a href="/tutorial" style="color:#10b981;text-decoration:none;font-weight:600;">📚 Integration Tutorial</a> | 👤 ${escapeHtml(identity.name)} (${identity.role}) <a href="/logout" style="color:#ef4444;text-decoration:none;font-weight:600;">Sign out</a></div>
     </div>
 
-    <div class="stats">
-      <div class="stat-card">
-        <div class="stat-label">Connected Devices</div>
-        <div class="stat-value" style="color: ${devices.filter(d => d.status !== 'offline').length > 0 ? '#10b981' : '#ef4444'};">${devices.filter(d => d.status !== 'offline').length}</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-label">Active Ports</div>
-        <div class="stat-value" style="color: #f59e0b;">${sessions.filter(s => (s.current_power_w || 0) > 1).length}/10</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-label">Total Power</div>
-        <div class="stat-value" style="color: #8b5cf6;">${totalPower.toFixed(0)} W</div>
+    ${renderDashboardStats()}
+
+    <div class="card">
+      <div class="card-title">🔌 All 10 Ports - Live Status</div>
+      <div class="ports-grid">
+        ${Array.from({ length: 10 }, (_, i) => i + 1).map(renderPortCard).join('')}
       </div>
-      <div class="stat-card">
-        <div class="stat-label">Total Energy</div>
-        <div class="stat-value" style="color: #06b6d4;">${sessions.reduce((sum, s) => sum + (s.energy_kwh || 0), 0).toFixed(5)} kWh</div>
+    </div>
+
+    <div class="card">
+      <div class="card-title">📱 Connected Devices</div>
+      ${devices.length === 0 ? '<div class="empty" id="devices-empty">No devices connected yet.</div>' : ''}
+      <div class="device-grid" id="device-grid">${devices.map(renderDeviceItem).join('')}</div>
+    </div>
+
+    <div class="card">
+      <div class="card-title">📋 Activity Log</div>
+      <div class="log" id="activity-log">
+        ${activityLog.length === 0 ? 
+          '<div style="color: #64748b;">Waiting for activity...</div>' :
+          activityLog.slice(0, 15).map(renderLogEntry).join('')
+        }
       </div>
     </div>
 
-    <div class="card">
-      <div class="card-title">🔌 All 10 Ports - Live Status</div>
-      <div class="ports-grid">
-        ${Array.from({ length: 10 }, (_, i) => i + 1).map(portNum => {
-          const session = sessions.find(s => s.connector_id === portNum);
-          const power = session?.current_power_w || 0;
-          const isActive = !!session && power > 1;
-          const energy = session?.energy_kwh || 0;
-          const duration = session ? Math.floor((Date.now() - new Date(session.start_time)) / 60000) : 0;
-          
-          return `
-            <div class="port-card ${isActive ? 'active' : ''}">
-              <div class="port-header">
-                <a href="/port/${portNum}" style="text-decoration: none; color: inherit;">
-                  <div class="port-number" style="cursor: pointer;">Port ${portNum}</div>
-                </a>
-                <span class="badge ${isActive ? 'badge-success' : 'badge-idle'}">${isActive ? 'CHARGING' : 'AVAILABLE'}</span>
-              </div>
-              <div class="power-display">
-                <div class="power-value">${power.toFixed(0)}</div>
-                <div class="power-label">WATTS</div>
-              </div>
-              ${isActive ? `
-                <div class="energy-display">
-                  <div class="energy-item">
-                    <div>⚡ Energy</div>
-                    <div class="energy-value">${energy.toFixed(5)} kWh</div>
-                  </div>
-                  <div class="energy-item">
-                    <div>⏱️ Duration</div>
-                    <div class="energy-value">${duration}m</div>
-                  </div>
-                  <div class="energy-item">
-                    <div>🔌 Voltage</div>
-                    <div class="energy-value">${(session?.voltage_v || 0).toFixed(1)}V</div>
-                  </div>
-                  <div class="energy-item">
-                    <div>⚙️ Current</div>
-                    <div class="energy-value">${(session?.current_a || 0).toFixed(2)}A</div>
-                  </div>
-                  <div class="energy-item">
-                    <div>🌡️ Temp</div>
-                    <div class="energy-value">${(session?.temperature_c || 0).toFixed(0)}°C</div>
-                  </div>
-                </div>
-              ` : '<div style="text-align: center; padding: 10px; color: #94a3b8; font-size: 12px;">Available for charging</div>'}
-            </div>
-          `;
-        }).join('')}
-      </div>
-    </div>
+    <div class="card" style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white;">
+      <div class="card-title" style="color: white;">📚 Need Help Integrating with Base44?</div>
+      <p style="opacity: 0.9; margin-bottom: 15px;">Learn how to connect your Base44 app to this Railway server for real-time charging management.</p>
+      <a href="/tutorial" style="display: inline-block; background: white; color: #10b981; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: 600;">View Integration Tutorial →</a>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+Deno.serve({ port: 8080 }, async (req) => {
+  const url = new URL(req.url);
+
+  // Login / logout for the HTML pages
+  if (url.pathname === '/login') {
+    if (req.method === 'POST') {
+      const form = await req.formData();
+      const username = String(form.get('username') || '');
+      const next = String(form.get('next') || '/');
+      const safeNext = next.startsWith('/') && !next.startsWith('//') ? next : '/';
+      const { user, throttled } = await verifyUserPassword(username, String(form.get('password') || ''));
+      if (!user) {
+        addLog(`🔐 Failed login for "${username}"${throttled ? ' (too many attempts)' : ''}`);
+        return new Response(generateLoginPage(safeNext, throttled ? 'Too many failed attempts, try again in a minute' : 'Invalid username or password'), {
+          status: throttled ? 429 : 401,
+          headers: { 'Content-Type': 'text/html' }
+        });
+      }
+      const token = randomToken();
+      webSessions.set(token, { username, expires: Date.now() + WEB_SESSION_TTL_MS });
+      const secure = url.protocol === 'https:' || req.headers.get('x-forwarded-proto') === 'https' ? '; Secure' : '';
+      return new Response(null, {
+        status: 303,
+        headers: {
+          'Location': safeNext,
+          'Set-Cookie': `ocpp_session=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${WEB_SESSION_TTL_MS / 1000}${secure}`
+        }
+      });
+    }
+    return new Response(generateLoginPage(url.searchParams.get('next')), {
+      headers: { 'Content-Type': 'text/html' }
+    });
+  }
+
+  if (url.pathname === '/logout') {
+    webSessions.delete(parseCookies(req).ocpp_session);
+    return new Response(null, {
+      status: 303,
+      headers: { 'Location': '/login', 'Set-Cookie': 'ocpp_session=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0' }
+    });
+  }
+
+  // Chargers fetch firmware and upload diagnostics with the token in the URL instead of credentials
+  const firmwareDownload = url.pathname.match(/^\/firmware\/download\/([^/]+)\/([^/]+)$/);
+  if (firmwareDownload && req.method === 'GET') {
+    for (const rollout of firmwareRollouts.values()) {
+      const entry = Object.entries(rollout.stations).find(([, t]) => t.token === firmwareDownload[1]);
+      if (!entry) continue;
+      const [stationId, target] = entry;
+      if (FIRMWARE_DONE_STATUSES.includes(target.status) || !firmwareFiles.has(rollout.file)) break;
+      let file;
+      try {
+        file = await Deno.open(`${FIRMWARE_DIR}/${rollout.file}`);
+      } catch (error) {
+        if (!(error instanceof Deno.errors.NotFound)) throw error;
+        addLog(`⚠️ Firmware ${rollout.file} for ${stationId} is missing from ${FIRMWARE_DIR}`);
+        break;
+      }
+      target.downloads = (target.downloads || 0) + 1;
+      saveRollout(rollout);
+      addLog(`📦 ${stationId} is downloading ${rollout.file}`);
+      return new Response(file.readable, {
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': String(firmwareFiles.get(rollout.file).size),
+          'Content-Disposition': `attachment; filename="${rollout.file}"`
+        }
+      });
+    }
+    return new Response('Unknown or expired download link', { status: 404 });
+  }
+
+  // POST (multipart or raw body) or PUT to /diagnostics/upload/:token[/:fileName]
+  const diagnosticsUpload = url.pathname.match(/^\/diagnostics\/upload\/([^/]+)(?:\/([^/]+))?$/);
+  if (diagnosticsUpload && (req.method === 'POST' || req.method === 'PUT')) {
+    const record = Array.from(diagnosticsRequests.values()).find(d => d.token === diagnosticsUpload[1]);
+    if (!record || record.upload || new Date(record.expires_at) < new Date()) {
+      return new Response('Unknown or expired upload link', { status: 404 });
+    }
+    if (parseInt(req.headers.get('content-length') || '0') > MAX_UPLOAD_BYTES) {
+      return new Response('Upload too large', { status: 413 });
+    }
+
+    let name = diagnosticsUpload[2] ? decodeURIComponent(diagnosticsUpload[2]) : record.file_name;
+    // The body lands on disk first; a multipart form is then parsed from that size-checked copy
+    const received = `${DIAGNOSTICS_DIR}/${record.request_id}.upload`;
+    let size = await writeUpload(req.body ?? ReadableStream.from([]), received);
+    if (size === null) return new Response('Upload too large', { status: 413 });
+    let file = null;
+    if ((req.headers.get('content-type') || '').startsWith('multipart/form-data')) {
+      const body = (await Deno.open(received)).readable;
+      const form = await new Response(body, { headers: { 'Content-Type': req.headers.get('content-type') } }).formData().catch(() => null);
+      file = form && Array.from(form.values()).find(value => value instanceof File);
+      if (!file) {
+        await Deno.remove(received).catch(() => {});
+        return new Response('No file in form data', { status: 400 });
+      }
+      name = file.name || name;
+    }
+    if (!name || !SAFE_FILE_NAME.test(name)) name = 'diagnostics.bin';
+
+    const stored = `${record.request_id}-${name}`;
+    if (file) {
+      size = await writeUpload(file.stream(), `${DIAGNOSTICS_DIR}/${stored}`);
+      await Deno.remove(received).catch(() => {});
+    } else {
+      await Deno.rename(received, `${DIAGNOSTICS_DIR}/${stored}`);
+    }
+    record.upload = { file_name: name, stored_as: stored, size, uploaded_at: new Date().toISOString() };
+    await storage.set(['diagnostics', record.request_id], record);
+    addLog(`🩺 ${record.station_id} uploaded diagnostics ${name} (${size} bytes)`);
+    return new Response('OK', { status: 201 });
+  }
+
+  // Chargers authenticate on the WebSocket upgrade itself; every other route needs an identity
+  if ((req.headers.get('upgrade') || '').toLowerCase() === 'websocket') {
+    return await acceptStationConnection(req, url);
+  }
+
+  const identity = await authenticate(req);
+  if (!identity) {
+    if (wantsHtml(req, url)) {
+      return new Response(null, {
+        status: 303,
+        headers: { 'Location': `/login?next=${encodeURIComponent(url.pathname + url.search)}` }
+      });
+    }
+    return Response.json({ success: false, error: 'Authentication required' }, {
+      status: 401,
+      headers: { 'WWW-Authenticate': 'Basic realm="OCPP Server"' }
+    });
+  }
+  const role = requiredRole(req, url);
+  if (!hasRole(identity, role)) {
+    return Response.json({ success: false, error: `Requires ${role} role` }, { status: 403 });
+  }
+
+  // A webhook can send every event to any URL: nothing about them changes without an admin behind the request
+  if (url.pathname.startsWith('/api/webhooks') && req.method !== 'GET' && !hasRole(identity, 'admin')) {
+    return Response.json({ success: false, error: 'Requires admin role' }, { status: 403 });
+  }
+
+  // Webhook outbox (admin): GET queue depth and deliveries (?subscription=&status=pending|failed)
+  if (url.pathname === '/api/webhooks/outbox' && req.method === 'GET') {
+    const subscription = url.searchParams.get('subscription');
+    const status = url.searchParams.get('status');
+    const deliveries = Array.from(webhookOutbox.values()).filter(d => !subscription || d.subscription_id === subscription);
+    const pending = deliveries.filter(d => d.status === 'pending');
+    return Response.json({
+      success: true,
+      depth: pending.length,
+      failed: deliveries.length - pending.length,
+      oldest_pending_at: pending[0]?.created_at || null,
+      deliveries: deliveries.filter(d => !status || d.status === status).map(webhookOutboxSummary)
+    });
+  }
+
+  // POST /api/webhooks/outbox/replay { subscription?, ids?: [] } - retry failed deliveries
+  // (all of them, or one subscription's, or the given delivery/event ids)
+  if (url.pathname === '/api/webhooks/outbox/replay' && req.method === 'POST') {
+    const { subscription, ids } = await req.json().catch(() => ({}));
+    const replayed = [];
+    for (const delivery of webhookOutbox.values()) {
+      if (delivery.status !== 'failed') continue;
+      if (subscription && delivery.subscription_id !== subscription) continue;
+      if (Array.isArray(ids) && !ids.includes(delivery.id) && !ids.includes(delivery.event_id)) continue;
+      delivery.status = 'pending';
+      delivery.attempts = 0;
+      delivery.next_attempt_at = new Date().toISOString();
+      delete delivery.failed_at;
+      await storage.set(['webhook_outbox', delivery.id], delivery);
+      replayed.push(delivery.id);
+    }
+    addLog(`🔁 ${identity.name} replayed ${replayed.length} failed webhook deliveries`);
+    drainWebhookOutbox();
+    return Response.json({ success: true, replayed });
+  }
+
+  // DELETE /api/webhooks/outbox/:deliveryId - discard a failed delivery for good
+  if (url.pathname.startsWith('/api/webhooks/outbox/') && req.method === 'DELETE') {
+    const delivery = webhookOutbox.get(decodeURIComponent(url.pathname.split('/')[4] || ''));
+    if (!delivery) return Response.json({ success: false, error: 'Unknown delivery' }, { status: 404 });
+    if (delivery.status !== 'failed') return Response.json({ success: false, error: 'Only failed deliveries can be discarded' }, { status: 409 });
+    webhookOutbox.delete(delivery.id);
+    await storage.delete(['webhook_outbox', delivery.id]);
+    addLog(`🗑️ ${identity.name} discarded webhook delivery ${delivery.type} to ${delivery.subscription_id}`);
+    return Response.json({ success: true });
+  }
+
+  // Webhook subscriptions (admin): GET list, POST { url, event_types, description?, secret? }
+  if (url.pathname === '/api/webhooks') {
+    if (req.method === 'POST') {
+      try {
+        const body = await req.json();
+        const error = validateWebhook(body);
+        if (error) return Response.json({ success: false, error }, { status: 400 });
+
+        const subscription = {
+          id: randomToken(6),
+          url: body.url,
+          secret: body.secret || randomToken(),
+          event_types: body.event_types,
+          description: body.description || '',
+          enabled: body.enabled ?? true,
+          created_at: new Date().toISOString(),
+          created_by: identity.name
+        };
+        webhooks.set(subscription.id, subscription);
+        await storage.set(['webhooks', subscription.id], subscription);
+        addLog(`🪝 ${identity.name} subscribed ${subscription.url} to ${subscription.event_types.join(', ')}`);
+        // The secret is only returned here
+        return Response.json({ success: true, ...webhookSummary(subscription), secret: subscription.secret });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+    return Response.json({
+      success: true,
+      event_types: WEBHOOK_EVENT_TYPES,
+      webhooks: Array.from(webhooks.values()).map(webhookSummary)
+    });
+  }
+
+  // GET/PUT/DELETE /api/webhooks/:id
+  const webhookMatch = url.pathname.match(/^\/api\/webhooks\/([^/]+)$/);
+  if (webhookMatch) {
+    const subscription = webhooks.get(decodeURIComponent(webhookMatch[1]));
+    if (!subscription) return Response.json({ success: false, error: 'Unknown webhook' }, { status: 404 });
+    if (req.method === 'GET') return Response.json({ success: true, ...webhookSummary(subscription) });
+    if (subscription.builtin) {
+      return Response.json({ success: false, error: 'The bridge subscription is configured with BRIDGE_URL' }, { status: 400 });
+    }
+
+    if (req.method === 'PUT') {
+      try {
+        const body = await req.json();
+        const error = validateWebhook(body, true);
+        if (error) return Response.json({ success: false, error }, { status: 400 });
+        for (const field of ['url', 'event_types', 'description', 'enabled', 'secret']) {
+          if (body[field] !== undefined) subscription[field] = body[field];
+        }
+        subscription.updated_at = new Date().toISOString();
+        await storage.set(['webhooks', subscription.id], subscription);
+        addLog(`🪝 ${identity.name} updated webhook ${subscription.id}`);
+        return Response.json({ success: true, ...webhookSummary(subscription) });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+
+    if (req.method === 'DELETE') {
+      webhooks.delete(subscription.id);
+      await storage.delete(['webhooks', subscription.id]);
+      for (const delivery of Array.from(webhookOutbox.values())) {
+        if (delivery.subscription_id === subscription.id && !delivery.in_flight) {
+          webhookOutbox.delete(delivery.id);
+          await storage.delete(['webhook_outbox', delivery.id]);
+        }
+      }
+      addLog(`🪝 ${identity.name} deleted webhook ${subscription.id} (${subscription.url})`);
+      return Response.json({ success: true });
+    }
+  }
+
+  // Charger registry: GET list, POST { station_id, security_profile, password? } provisions
+  if (url.pathname === '/api/stations') {
+    if (req.method === 'POST') {
+      try {
+        const { station_id, security_profile = 1, password } = await req.json();
+        if (!station_id || !/^[A-Za-z0-9._:-]{1,48}$/.test(station_id)) {
+          return Response.json({ success: false, error: 'station_id is required (max 48 characters, no spaces or slashes)' }, { status: 400 });
+        }
+        if (!SECURITY_PROFILES.includes(security_profile)) {
+          return Response.json({ success: false, error: `security_profile must be one of ${SECURITY_PROFILES.join(', ')}` }, { status: 400 });
+        }
+        if (stationRegistry.has(station_id) && !stationRegistry.get(station_id).revoked) {
+          return Response.json({ success: false, error: 'Station already provisioned, rotate its password instead' }, { status: 409 });
+        }
+        // OCPP 1.6 AuthorizationKey is 16 to 20 bytes
+        if (password !== undefined && (typeof password !== 'string' || password.length < 16 || password.length > 40)) {
+          return Response.json({ success: false, error: 'password must be 16 to 40 characters' }, { status: 400 });
+        }
+        const secret = password || randomToken(10);
+        const record = {
+          ...stationRegistry.get(station_id),
+          station_id,
+          security_profile,
+          created_at: stationRegistry.get(station_id)?.created_at || new Date().toISOString()
+        };
+        await setStationPassword(record, secret);
+        addLog(`🔑 ${identity.name} provisioned station ${station_id} (profile ${security_profile})`);
+        return Response.json({ success: true, ...stationRecordSummary(record), password: secret });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+    return Response.json({
+      success: true,
+      allow_unregistered: ALLOW_UNREGISTERED_STATIONS,
+      stations: Array.from(stationRegistry.values()).map(stationRecordSummary)
+    });
+  }
+
+  // POST /api/stations/:id/rotate - new password, pushed to a connected charger as AuthorizationKey
+  if (url.pathname.startsWith('/api/stations/') && url.pathname.endsWith('/rotate') && req.method === 'POST') {
+    const stationId = decodeURIComponent(url.pathname.split('/')[3] || '');
+    const record = stationRegistry.get(stationId);
+    if (!record) return Response.json({ success: false, error: 'Unknown station' }, { status: 404 });
+
+    const secret = randomToken(10);
+    await setStationPassword(record, secret);
+    addLog(`🔑 ${identity.name} rotated the password of ${stationId}`);
+
+    let change = null;
+    const request = sendCall(stationId, 'ChangeConfiguration', { key: 'AuthorizationKey', value: secret }, COMMAND_TIMEOUT_MS, identity.name);
+    if (request) {
+      await request.done;
+      change = commandResult(request);
+    }
+    return Response.json({ success: true, ...stationRecordSummary(record), password: secret, change_configuration: change });
+  }
+
+  // DELETE /api/stations/:id - revoke: the station can no longer connect and is disconnected now
+  if (url.pathname.startsWith('/api/stations/') && req.method === 'DELETE') {
+    const stationId = decodeURIComponent(url.pathname.split('/')[3] || '');
+    const record = stationRegistry.get(stationId);
+    if (!record) return Response.json({ success: false, error: 'Unknown station' }, { status: 404 });
+
+    record.revoked = true;
+    record.revoked_at = new Date().toISOString();
+    delete record.password_hash;
+    delete record.salt;
+    delete record.previous_password_hash;
+    delete record.previous_salt;
+    await storage.set(['stations', stationId], record);
+
+    const device = connectedDevices.get(stationId);
+    if (device?.socket) device.socket.close(1008, 'Credentials revoked');
+    addLog(`🔑 ${identity.name} revoked station ${stationId}`);
+    return Response.json({ success: true, ...stationRecordSummary(record) });
+  }
+
+  // Who am I
+  if (url.pathname === '/api/auth/me') {
+    return Response.json({ success: true, name: identity.name, role: identity.role, type: identity.type });
+  }
+
+  // User management (admin): GET list, POST { username, password, role }, DELETE /api/auth/users/:username
+  if (url.pathname === '/api/auth/users') {
+    if (req.method === 'POST') {
+      try {
+        const { username, password, role = 'viewer' } = await req.json();
+        if (!username || !password || password.length < 8) {
+          return Response.json({ success: false, error: 'username and a password of at least 8 characters are required' }, { status: 400 });
+        }
+        if (!ROLES.includes(role)) return Response.json({ success: false, error: `role must be one of ${ROLES.join(', ')}` }, { status: 400 });
+        await saveUser(String(username), String(password), role);
+        addLog(`🔐 ${identity.name} saved user ${username} (${role})`);
+        return Response.json({ success: true, username, role });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+    return Response.json({
+      success: true,
+      users: Array.from(users.values()).map(({ username, role, created_at }) => ({ username, role, created_at }))
+    });
+  }
+
+  if (url.pathname.startsWith('/api/auth/users/') && req.method === 'DELETE') {
+    const username = decodeURIComponent(url.pathname.split('/')[4] || '');
+    if (!users.has(username)) return Response.json({ success: false, error: 'Unknown user' }, { status: 404 });
+    if (username === identity.name) return Response.json({ success: false, error: 'You cannot delete yourself' }, { status: 400 });
+    users.delete(username);
+    await storage.delete(['auth', 'users', username]);
+    for (const [token, session] of webSessions.entries()) {
+      if (session.username === username) webSessions.delete(token);
+    }
+    addLog(`🔐 ${identity.name} deleted user ${username}`);
+    return Response.json({ success: true });
+  }
+
+  // API key management (admin): POST { name, role } returns the key once, DELETE /api/auth/keys/:id
+  if (url.pathname === '/api/auth/keys') {
+    if (req.method === 'POST') {
+      try {
+        const { name, role = 'viewer' } = await req.json();
+        if (!name) return Response.json({ success: false, error: 'name is required' }, { status: 400 });
+        if (!ROLES.includes(role)) return Response.json({ success: false, error: `role must be one of ${ROLES.join(', ')}` }, { status: 400 });
+        const id = randomToken(6);
+        const key = `${id}.${randomToken()}`;
+        const record = { id, name: String(name), role, key_hash: await sha256(key), created_at: new Date().toISOString(), last_used_at: null };
+        apiKeys.set(id, record);
+        await storage.set(['auth', 'api_keys', id], record);
+        addLog(`🔐 ${identity.name} created API key ${name} (${role})`);
+        return Response.json({ success: true, id, name: record.name, role, key });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+    return Response.json({
+      success: true,
+      keys: Array.from(apiKeys.values()).map(({ key_hash: _hash, ...key }) => key)
+    });
+  }
+
+  if (url.pathname.startsWith('/api/auth/keys/') && req.method === 'DELETE') {
+    const id = url.pathname.split('/')[4];
+    if (!apiKeys.has(id)) return Response.json({ success: false, error: 'Unknown API key' }, { status: 404 });
+    apiKeys.delete(id);
+    await storage.delete(['auth', 'api_keys', id]);
+    addLog(`🔐 ${identity.name} revoked API key ${id}`);
+    return Response.json({ success: true });
+  }
+
+  // Dashboard
+  if (url.pathname === '/' || url.pathname === '/dashboard') {
+    return new Response(generateDashboard(identity), {
+      headers: { 'Content-Type': 'text/html' }
+    });
+  }
+
+  // Live event stream (Server-Sent Events). Optional ?types=session_started,meter filter.
+  if (url.pathname === '/events') {
+    const types = url.searchParams.get('types')?.split(',').filter(t => EVENT_TYPES.includes(t));
+    let client;
+    const stream = new ReadableStream({
+      start(controller) {
+        client = { controller, types: types?.length ? types : null };
+        eventClients.add(client);
+        controller.enqueue(sseEncoder.encode(`retry: 3000\n: connected\n\n`));
+      },
+      cancel() {
+        eventClients.delete(client);
+      }
+    });
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      }
+    });
+  }
+
+  // API Endpoints
+  if (url.pathname === '/api/status') {
+    return Response.json({
+      success: true,
+      devices: connectedDevices.size,
+      sessions: activeSessions.size,
+      devices_online: Array.from(connectedDevices.values()).filter(d => d.status !== 'offline').length
+    });
+  }
+
+  // Per-connector OCPP state of one station
+  const connectorsMatch = url.pathname.match(/^\/api\/devices\/([^/]+)\/connectors$/);
+  if (connectorsMatch) {
+    const device = connectedDevices.get(decodeURIComponent(connectorsMatch[1]));
+    if (!device) {
+      return Response.json({ success: false, error: 'Unknown station' }, { status: 404 });
+    }
+    return Response.json({
+      success: true,
+      station_id: device.station_id,
+      online: device.status !== 'offline',
+      connectors: Object.values(device.connectors || {})
+    });
+  }
+
+  // Firmware images: GET /api/firmware/files, PUT /api/firmware/files/:name?version= (raw body) / DELETE
+  if (url.pathname === '/api/firmware/files') {
+    return Response.json({ success: true, files: Array.from(firmwareFiles.values()) });
+  }
+
+  if (url.pathname.startsWith('/api/firmware/files/')) {
+    const name = decodeURIComponent(url.pathname.split('/')[4] || '');
+    if (!SAFE_FILE_NAME.test(name)) {
+      return Response.json({ success: false, error: 'File name may only contain letters, digits, ".", "_" and "-"' }, { status: 400 });
+    }
+
+    if (req.method === 'DELETE') {
+      const inUse = Array.from(firmwareRollouts.values()).find(r => r.file === name && !rolloutSummary(r).done);
+      if (inUse) return Response.json({ success: false, error: `Still used by rollout ${inUse.rollout_id}` }, { status: 409 });
+      firmwareFiles.delete(name);
+      await storage.delete(['firmware', 'files', name]);
+      await Deno.remove(`${FIRMWARE_DIR}/${name}`).catch(() => {});
+      return Response.json({ success: true });
+    }
+    if (req.method === 'PUT' || req.method === 'POST') {
+      if (parseInt(req.headers.get('content-length') || '0') > MAX_UPLOAD_BYTES) {
+        return Response.json({ success: false, error: 'File too large' }, { status: 413 });
+      }
+      // Received next to the current image and swapped in once complete, so a failed upload replaces nothing
+      const received = `${FIRMWARE_DIR}/.${name}.upload`;
+      const size = req.body ? await writeUpload(req.body, received) : 0;
+      if (size === null) return Response.json({ success: false, error: 'File too large' }, { status: 413 });
+      if (size === 0) {
+        await Deno.remove(received).catch(() => {});
+        return Response.json({ success: false, error: 'Send the firmware image as the request body' }, { status: 400 });
+      }
+      const digest = await crypto.subtle.digest('SHA-256', await Deno.readFile(received));
+      await Deno.rename(received, `${FIRMWARE_DIR}/${name}`);
+      const file = {
+        name,
+        size,
+        sha256: hexString(digest),
+        version: url.searchParams.get('version') || null,
+        uploaded_at: new Date().toISOString(),
+        uploaded_by: identity.name
+      };
+      firmwareFiles.set(name, file);
+      await storage.set(['firmware', 'files', name], file);
+      addLog(`📦 Firmware ${name} uploaded (${size} bytes${file.version ? `, version ${file.version}` : ''})`);
+      return Response.json({ success: true, file });
+    }
+  }
+
+  // Rollouts: POST /api/firmware/rollouts { file, stations, version?, retrieve_date?, retries?, retry_interval? }
+  if (url.pathname === '/api/firmware/rollouts') {
+    if (req.method === 'POST') {
+      const body = await req.json().catch(() => ({}));
+      const file = firmwareFiles.get(body.file);
+      if (!file) return Response.json({ success: false, error: 'Unknown firmware file' }, { status: 400 });
+      if (!Array.isArray(body.stations) || body.stations.length === 0) {
+        return Response.json({ success: false, error: 'stations must be a non-empty array of station IDs' }, { status: 400 });
+      }
+      if (body.retrieve_date && isNaN(new Date(body.retrieve_date))) {
+        return Response.json({ success: false, error: 'retrieve_date must be an ISO date' }, { status: 400 });
+      }
+
+      // Time-based so rollouts load back in creation order; bumped when two land in the same millisecond
+      let stamp = Date.now();
+      while (firmwareRollouts.has(stamp.toString(36))) stamp++;
+      const rolloutId = stamp.toString(36);
+      const rollout = {
+        rollout_id: rolloutId,
+        file: file.name,
+        version: body.version || file.version || null,
+        retrieve_date: body.retrieve_date ? new Date(body.retrieve_date).toISOString() : null,
+        retries: Number.isInteger(body.retries) ? body.retries : null,
+        retry_interval: Number.isInteger(body.retry_interval) ? body.retry_interval : null,
+        base_url: publicBaseUrl(req, url),
+        created_by: identity.name,
+        created_at: new Date().toISOString(),
+        stations: {}
+      };
+      for (const stationId of body.stations.map(String)) {
+        rollout.stations[stationId] = {
+          status: 'Pending',
+          token: randomToken(),
+          request_id: nextRequestId(),
+          previous_firmware: connectedDevices.get(stationId)?.firmware || null,
+          updated_at: rollout.created_at,
+          history: [{ status: 'Pending', at: rollout.created_at }]
+        };
+      }
+      firmwareRollouts.set(rolloutId, rollout);
+      saveRollout(rollout);
+      addLog(`📦 Rollout ${rolloutId}: ${file.name} to ${body.stations.length} stations (by ${identity.name})`);
+
+      await Promise.all(Object.keys(rollout.stations).map(stationId => sendFirmwareUpdate(rollout, stationId, identity.name)));
+      return Response.json({ success: true, rollout: rolloutSummary(rollout) });
+    }
+    return Response.json({ success: true, rollouts: Array.from(firmwareRollouts.values()).map(rolloutSummary) });
+  }
+
+  // GET /api/firmware/rollouts/:id with per-station progress, DELETE cancels stations that haven't started
+  if (url.pathname.startsWith('/api/firmware/rollouts/')) {
+    const rollout = firmwareRollouts.get(decodeURIComponent(url.pathname.split('/')[4] || ''));
+    if (!rollout) return Response.json({ success: false, error: 'Unknown rollout' }, { status: 404 });
+
+    if (req.method === 'DELETE') {
+      for (const [stationId, target] of Object.entries(rollout.stations)) {
+        if (['Pending', 'Offline', 'Scheduled'].includes(target.status)) setTargetStatus(rollout, stationId, 'Cancelled', `by ${identity.name}`);
+      }
+      addLog(`📦 Rollout ${rollout.rollout_id} cancelled (by ${identity.name})`);
+    }
+    const stations = Object.fromEntries(Object.entries(rollout.stations).map(([id, { token: _token, ...target }]) => [id, target]));
+    return Response.json({ success: true, rollout: { ...rolloutSummary(rollout), stations } });
+  }
+
+  // Diagnostics: POST /api/devices/:id/diagnostics { start_time?, stop_time?, retries? }
+  const diagnosticsMatch = url.pathname.match(/^\/api\/devices\/([^/]+)\/diagnostics$/);
+  if (diagnosticsMatch && req.method === 'POST') {
+    const stationId = decodeURIComponent(diagnosticsMatch[1]);
+    const body = await req.json().catch(() => ({}));
+    for (const field of ['start_time', 'stop_time']) {
+      if (body[field] && isNaN(new Date(body[field]))) {
+        return Response.json({ success: false, error: `${field} must be an ISO date` }, { status: 400 });
+      }
+    }
+    const result = await requestDiagnostics(stationId, body, publicBaseUrl(req, url), identity.name);
+    if (!result) {
+      return Response.json({ success: false, error: 'Station not connected' }, { status: 404 });
+    }
+    return Response.json({ ...commandResult(result.request), diagnostics: diagnosticsSummary(result.record) },
+      { status: result.request.status === 'timeout' ? 504 : result.request.status === 'error' ? 502 : 200 });
+  }
+
+  // GET /api/diagnostics?station=, /api/diagnostics/:id and /api/diagnostics/:id/file
+  if (url.pathname === '/api/diagnostics') {
+    const station = url.searchParams.get('station');
+    const records = Array.from(diagnosticsRequests.values())
+      .filter(d => !station || d.station_id === station)
+      .sort((a, b) => b.requested_at.localeCompare(a.requested_at));
+    return Response.json({ success: true, diagnostics: records.map(diagnosticsSummary) });
+  }
+
+  const diagnosticsFileMatch = url.pathname.match(/^\/api\/diagnostics\/([^/]+)(\/file)?$/);
+  if (diagnosticsFileMatch) {
+    const record = diagnosticsRequests.get(decodeURIComponent(diagnosticsFileMatch[1]));
+    if (!record) return Response.json({ success: false, error: 'Unknown diagnostics request' }, { status: 404 });
+    if (!diagnosticsFileMatch[2]) return Response.json({ success: true, diagnostics: diagnosticsSummary(record) });
+    if (!record.upload) return Response.json({ success: false, error: 'Nothing uploaded yet' }, { status: 404 });
+    let file;
+    try {
+      file = await Deno.open(`${DIAGNOSTICS_DIR}/${record.upload.stored_as}`);
+    } catch (error) {
+      if (!(error instanceof Deno.errors.NotFound)) throw error;
+      return Response.json({ success: false, error: 'Uploaded file is missing' }, { status: 404 });
+    }
+    return new Response(file.readable, {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${record.upload.file_name}"`
+      }
+    });
+  }
+
+  // Reservations: POST /api/reservations { station_id, connector_id, id_tag, expiry_date } sends ReserveNow,
+  // GET lists them (?station=, ?status=), DELETE /api/reservations/:id sends CancelReservation
+  if (url.pathname === '/api/reservations') {
+    if (req.method === 'POST') {
+      const body = await req.json().catch(() => ({}));
+      const stationId = String(body.station_id || '');
+      const connectorId = body.connector_id ?? 0;
+      if (!connectedDevices.has(stationId)) {
+        return Response.json({ success: false, error: 'Unknown station' }, { status: 404 });
+      }
+      if (!Number.isInteger(connectorId) || connectorId < 0) {
+        return Response.json({ success: false, error: 'connector_id must be a connector number (0 for any connector)' }, { status: 400 });
+      }
+      if (typeof body.id_tag !== 'string' || !body.id_tag || body.id_tag.length > 20) {
+        return Response.json({ success: false, error: 'id_tag is required (at most 20 characters)' }, { status: 400 });
+      }
+      const tagStatus = getIdTagInfo(body.id_tag).status;
+      if (tagStatus !== 'Accepted') {
+        return Response.json({ success: false, error: `idTag ${body.id_tag} is ${tagStatus}` }, { status: 400 });
+      }
+      const expiry = new Date(body.expiry_date);
+      if (isNaN(expiry) || expiry <= Date.now()) {
+        return Response.json({ success: false, error: 'expiry_date must be an ISO date in the future' }, { status: 400 });
+      }
+      const held = activeReservation(stationId, connectorId);
+      if (held) {
+        return Response.json({ success: false, error: `Port ${held.connector_id} of ${stationId} is already reserved (${held.reservation_id})` }, { status: 409 });
+      }
+
+      const result = await reserveNow(stationId, { connector_id: connectorId, id_tag: body.id_tag, expiry_date: expiry.toISOString() }, identity.name);
+      if (!result) {
+        return Response.json({ success: false, error: 'Station not connected' }, { status: 404 });
+      }
+      return Response.json({ ...commandResult(result.request), reservation: result.reservation },
+        { status: result.request.status === 'timeout' ? 504 : result.request.status === 'error' ? 502 : 200 });
+    }
+
+    const station = url.searchParams.get('station');
+    const status = url.searchParams.get('status');
+    const list = Array.from(reservations.values())
+      .filter(r => (!station || r.station_id === station) && (!status || r.status === status))
+      .sort((a, b) => b.requested_at.localeCompare(a.requested_at));
+    return Response.json({ success: true, reservations: list });
+  }
+
+  if (url.pathname.startsWith('/api/reservations/')) {
+    const reservation = reservations.get(decodeURIComponent(url.pathname.split('/')[3] || ''));
+    if (!reservation) return Response.json({ success: false, error: 'Unknown reservation' }, { status: 404 });
+
+    if (req.method === 'DELETE') {
+      if (reservation.status !== 'Active') {
+        return Response.json({ success: false, error: `Reservation is ${reservation.status}` }, { status: 409 });
+      }
+      const request = await cancelReservation(reservation, identity.name);
+      if (!request) {
+        return Response.json({ success: false, error: 'Station not connected' }, { status: 404 });
+      }
+      return Response.json({ ...commandResult(request), reservation },
+        { status: request.status === 'timeout' ? 504 : request.status === 'error' ? 502 : 200 });
+    }
+    return Response.json({ success: true, reservation });
+  }
+
+  // OCPP 1.6 configuration: GET the stored keys, POST { keys? } reads them again with GetConfiguration,
+  // PUT /api/devices/:id/configuration/:key { value } sends ChangeConfiguration
+  const configurationMatch = url.pathname.match(/^\/api\/devices\/([^/]+)\/configuration(?:\/([^/]+))?$/);
+  if (configurationMatch) {
+    const stationId = decodeURIComponent(configurationMatch[1]);
+    const key = configurationMatch[2] ? decodeURIComponent(configurationMatch[2]) : null;
+    const device = connectedDevices.get(stationId);
+    if (!device) {
+      return Response.json({ success: false, error: 'Unknown station' }, { status: 404 });
+    }
 
-    <div class="card">
-      <div class="card-title">📱 Connected Devices</div>
-      ${devices.length === 0 ? 
-        '<div class="empty">No devices connected yet.</div>' :
-        '<div class="device-grid">' + devices.map(d => `
-          <div class="device-item ${d.status === 'offline' ? 'offline' : ''}">
-            <div class="device-name">${d.station_id} 
-              <span class="badge ${d.status === 'offline' ? 'badge-danger' : 'badge-success'}">
-                ${d.status === 'offline' ? '⚠️ OFFLINE' : '✅ ONLINE'}
-              </span>
-            </div>
-            <div class="device-meta">
-              <div><strong>Vendor:</strong> ${d.vendor || 'N/A'}</div>
-              <div><strong>Model:</strong> ${d.model || 'N/A'}</div>
-              <div><strong>Firmware:</strong> ${d.firmware || 'N/A'}</div>
-              <div><strong>Connected:</strong> ${new Date(d.connected_at).toLocaleTimeString()}</div>
-              <div><strong>Status:</strong> ${d.status === 'offline' ? 'No internet or powered off' : 'Active'}</div>
-            </div>
-          </div>
-        `).join('') + '</div>'
+    if (req.method === 'GET') {
+      const configuration = device.configuration || {};
+      if (key) {
+        if (!configuration[key]) return Response.json({ success: false, error: 'Unknown configuration key' }, { status: 404 });
+        return Response.json({ success: true, station_id: stationId, key, ...configuration[key] });
       }
-    </div>
+      return Response.json({
+        success: true,
+        station_id: stationId,
+        fetched_at: device.configuration_fetched_at || null,
+        configuration,
+        unknown_keys: device.configuration_unknown_keys || [],
+        templates: templatesFor(stationId).map(t => t.template_id)
+      });
+    }
 
-    <div class="card">
-      <div class="card-title">📋 Activity Log</div>
-      <div class="log">
-        ${activityLog.length === 0 ? 
-          '<div style="color: #64748b;">Waiting for activity...</div>' :
-          activityLog.slice(0, 15).map(l => `<div class="log-entry">[${new Date(l.timestamp).toLocaleTimeString()}] ${l.message}</div>`).join('')
-        }
-      </div>
-    </div>
+    if (device.ocpp_protocol === 'ocpp2.0.1') {
+      return Response.json({ success: false, error: 'OCPP 2.0.1 stations use the device model, see /api/devices/:id/device-model' }, { status: 400 });
+    }
 
-    <div class="card" style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white;">
-      <div class="card-title" style="color: white;">📚 Need Help Integrating with Base44?</div>
-      <p style="opacity: 0.9; margin-bottom: 15px;">Learn how to connect your Base44 app to this Railway server for real-time charging management.</p>
-      <a href="/tutorial" style="display: inline-block; background: white; color: #10b981; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: 600;">View Integration Tutorial →</a>
-    </div>
-  </div>
-</body>
-</html>`;
-}
+    let request;
+    if (req.method === 'POST' && !key) {
+      const { keys = [] } = await req.json().catch(() => ({}));
+      request = await fetchConfiguration(stationId, Array.isArray(keys) ? keys.map(String) : [], identity.name);
+    } else if ((req.method === 'PUT' || req.method === 'POST') && key) {
+      const body = await req.json().catch(() => ({}));
+      if (body.value === undefined || body.value === null || typeof body.value === 'object') {
+        return Response.json({ success: false, error: 'value is required' }, { status: 400 });
+      }
+      if (device.configuration?.[key]?.readonly) {
+        return Response.json({ success: false, error: `${key} is read-only on this station` }, { status: 400 });
+      }
+      request = await changeConfiguration(stationId, key, body.value, identity.name);
+    } else {
+      return Response.json({ success: false, error: 'Method not allowed' }, { status: 405 });
+    }
 
-Deno.serve({ port: 8080 }, async (req) => {
-  const url = new URL(req.url);
+    if (!request) {
+      return Response.json({ success: false, error: 'Station not connected' }, { status: 404 });
+    }
+    return Response.json({ ...commandResult(request), configuration: connectedDevices.get(stationId)?.configuration || {} },
+      { status: request.status === 'timeout' ? 504 : request.status === 'error' ? 502 : 200 });
+  }
 
-  // Dashboard
-  if (url.pathname === '/' || url.pathname === '/dashboard') {
-    return new Response(generateDashboard(), {
-      headers: { 'Content-Type': 'text/html' }
-    });
+  // Configuration templates: GET /api/config/templates, PUT|DELETE /api/config/templates/:id
+  // { name, settings: { key: value }, stations: [], apply_on_boot }, POST /api/config/templates/:id/apply
+  if (url.pathname === '/api/config/templates') {
+    return Response.json({ success: true, templates: Array.from(configTemplates.values()) });
   }
 
-  // API Endpoints
-  if (url.pathname === '/api/status') {
+  const templateMatch = url.pathname.match(/^\/api\/config\/templates\/([^/]+)(\/apply)?$/);
+  if (templateMatch) {
+    const templateId = decodeURIComponent(templateMatch[1]);
+    const template = configTemplates.get(templateId);
+
+    if (templateMatch[2]) {
+      if (req.method !== 'POST') return Response.json({ success: false, error: 'Method not allowed' }, { status: 405 });
+      if (!template) return Response.json({ success: false, error: 'Unknown template' }, { status: 404 });
+      // Optional { stations: [] } narrows the run to some of the template's stations
+      const { stations } = await req.json().catch(() => ({}));
+      const targets = Array.isArray(stations) ? template.stations.filter(id => stations.includes(id)) : template.stations;
+      // Stations are pushed side by side; each one still gets its keys one at a time
+      const results = Object.fromEntries(await Promise.all(
+        targets.map(async stationId => [stationId, await applyTemplate(template, stationId, identity.name)])));
+      addLog(`⚙️ Applied template ${templateId} to ${targets.length} stations (by ${identity.name})`);
+      return Response.json({ success: true, template_id: templateId, results });
+    }
+
+    if (req.method === 'GET') {
+      if (!template) return Response.json({ success: false, error: 'Unknown template' }, { status: 404 });
+      return Response.json({ success: true, template });
+    }
+    if (req.method === 'DELETE') {
+      configTemplates.delete(templateId);
+      await storage.delete(['config_templates', templateId]);
+      return Response.json({ success: true });
+    }
+    if (req.method === 'PUT' || req.method === 'POST') {
+      try {
+        const body = await req.json();
+        const error = validateTemplate(body);
+        if (error) return Response.json({ success: false, error }, { status: 400 });
+        const saved = {
+          template_id: templateId,
+          name: body.name || templateId,
+          settings: Object.fromEntries(Object.entries(body.settings).map(([key, value]) => [key, String(value)])),
+          stations: (body.stations || []).map(String),
+          apply_on_boot: body.apply_on_boot !== false
+        };
+        configTemplates.set(templateId, saved);
+        await storage.set(['config_templates', templateId], saved);
+        addLog(`⚙️ Template ${templateId} saved: ${Object.keys(saved.settings).length} keys for ${saved.stations.length} stations`);
+        return Response.json({ success: true, template: saved });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+  }
+
+  // OCPP 2.0.1 device model as reported by NotifyReport; POST asks the station for a new report
+  const deviceModelMatch = url.pathname.match(/^\/api\/devices\/([^/]+)\/device-model$/);
+  if (deviceModelMatch) {
+    const stationId = decodeURIComponent(deviceModelMatch[1]);
+    const device = connectedDevices.get(stationId);
+    if (!device) {
+      return Response.json({ success: false, error: 'Unknown station' }, { status: 404 });
+    }
+
+    if (req.method === 'POST') {
+      if (device.ocpp_protocol !== 'ocpp2.0.1') {
+        return Response.json({ success: false, error: 'Device model reports need OCPP 2.0.1' }, { status: 400 });
+      }
+      const { report_base = 'FullInventory' } = await req.json().catch(() => ({}));
+      const request = sendCall(stationId, 'GetBaseReport', { requestId: Date.now() % 2147483647, reportBase: report_base }, COMMAND_TIMEOUT_MS, identity.name);
+      if (!request) {
+        return Response.json({ success: false, error: 'Station not connected' }, { status: 404 });
+      }
+      await request.done;
+      return Response.json(commandResult(request), { status: request.status === 'timeout' ? 504 : request.status === 'error' ? 502 : 200 });
+    }
+
+    const component = url.searchParams.get('component');
+    const variables = Array.from((deviceModels.get(stationId) || new Map()).values())
+      .filter(v => !component || v.component.name === component)
+      .sort((a, b) => a.key.localeCompare(b.key));
+    return Response.json({ success: true, station_id: stationId, count: variables.length, variables });
+  }
+
+  // Connection history and uptime of one station: GET /api/devices/:id/connections?limit=
+  const connectionsMatch = url.pathname.match(/^\/api\/devices\/([^/]+)\/connections$/);
+  if (connectionsMatch) {
+    const stationId = decodeURIComponent(connectionsMatch[1]);
+    const device = connectedDevices.get(stationId);
+    if (!device) {
+      return Response.json({ success: false, error: 'Unknown station' }, { status: 404 });
+    }
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 100, CONNECTION_HISTORY_LIMIT);
     return Response.json({
       success: true,
-      devices: connectedDevices.size,
-      sessions: activeSessions.size,
-      devices_online: Array.from(connectedDevices.values()).filter(d => d.status !== 'offline').length
+      station_id: stationId,
+      status: device.socket ? device.status : 'disconnected',
+      heartbeat_interval: heartbeatIntervalOf(device),
+      offline_after_s: heartbeatIntervalOf(device) * MISSED_HEARTBEATS_OFFLINE + OFFLINE_GRACE_S,
+      last_seen_at: device.last_seen_at || null,
+      uptime: {
+        '24h': uptimeStats(stationId, 24 * 60 * 60 * 1000),
+        '7d': uptimeStats(stationId, 7 * 24 * 60 * 60 * 1000),
+        '30d': uptimeStats(stationId, 30 * 24 * 60 * 60 * 1000)
+      },
+      history: (connectionHistory.get(stationId) || []).slice(-limit).reverse()
     });
   }
 
@@ -529,6 +5425,31 @@ Deno.serve({ port: 8080 }, async (req) => {
     });
   }
 
+  // Meter value time series of one transaction (active or completed)
+  const meterValuesMatch = url.pathname.match(/^\/api\/sessions\/([^/]+)\/meter-values$/);
+  if (meterValuesMatch) {
+    const txId = decodeURIComponent(meterValuesMatch[1]);
+    const session = activeSessions.get(txId) || await storage.getSession(txId);
+    if (!session) {
+      return Response.json({ success: false, error: 'Unknown transaction' }, { status: 404 });
+    }
+    const samples = await getMeterPoints(txId);
+    return Response.json({
+      success: true,
+      transaction_id: txId,
+      status: activeSessions.has(txId) ? 'active' : 'completed',
+      stats: {
+        max_power_w: session.max_power_w ?? null,
+        avg_power_w: session.avg_power_w ?? null,
+        max_current_a: session.max_current_a ?? null,
+        avg_current_a: session.avg_current_a ?? null,
+        avg_voltage_v: session.avg_voltage_v ?? null,
+        energy_kwh: Number(session.energy_kwh) || 0
+      },
+      samples
+    });
+  }
+
   if (url.pathname.startsWith('/api/sessions')) {
     const stationId = url.pathname.split('/')[3];
     const sessions = stationId ?
@@ -537,6 +5458,314 @@ Deno.serve({ port: 8080 }, async (req) => {
     return Response.json({ success: true, sessions });
   }
 
+  // idTag whitelist management
+  if (url.pathname === '/api/idtags') {
+    if (req.method === 'POST') {
+      try {
+        const error = upsertIdTag(await req.json());
+        if (error) return Response.json({ success: false, error }, { status: 400 });
+        return Response.json({ success: true, list_version: localListVersion });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+    return Response.json({
+      success: true,
+      list_version: localListVersion,
+      id_tags: Array.from(idTags.values()).filter(t => !t.deleted).map(t => ({ ...t, effective: getIdTagInfo(t.id_tag) }))
+    });
+  }
+
+  // Push the whitelist to a charger's local auth list: { station_id, update_type: 'Full' | 'Differential' }
+  if (url.pathname === '/api/idtags/push' && req.method === 'POST') {
+    try {
+      const { station_id, update_type = 'Full' } = await req.json();
+      if (!['Full', 'Differential'].includes(update_type)) {
+        return Response.json({ success: false, error: 'update_type must be Full or Differential' }, { status: 400 });
+      }
+
+      let sinceVersion = 0;
+      if (update_type === 'Differential') {
+        const versionRequest = sendCall(station_id, 'GetLocalListVersion', {}, COMMAND_TIMEOUT_MS, identity.name);
+        if (!versionRequest) return Response.json({ success: false, error: 'Station not connected' }, { status: 404 });
+        await versionRequest.done;
+        if (versionRequest.status !== 'completed') return Response.json(commandResult(versionRequest), { status: 502 });
+        sinceVersion = Math.max(versionRequest.response.listVersion || 0, 0);
+      }
+
+      const request = sendCall(station_id, 'SendLocalList', {
+        listVersion: localListVersion,
+        localAuthorizationList: buildLocalAuthorizationList(sinceVersion),
+        updateType: update_type
+      }, COMMAND_TIMEOUT_MS, identity.name);
+      if (!request) return Response.json({ success: false, error: 'Station not connected' }, { status: 404 });
+
+      addLog(`📤 Sent SendLocalList (${update_type}, v${localListVersion}) to ${station_id} (by ${identity.name})`);
+      await request.done;
+      return Response.json(commandResult(request), { status: request.status === 'completed' ? 200 : 502 });
+    } catch (error) {
+      return Response.json({ success: false, error: error.message }, { status: 500 });
+    }
+  }
+
+  // Ask a charger which local auth list version it holds
+  // POST /api/idtags/version/:stationId asks the charger with GetLocalListVersion
+  if (url.pathname.startsWith('/api/idtags/version/')) {
+    if (req.method !== 'POST') return Response.json({ success: false, error: 'Method not allowed' }, { status: 405 });
+    const request = sendCall(url.pathname.split('/')[4], 'GetLocalListVersion', {}, COMMAND_TIMEOUT_MS, identity.name);
+    if (!request) return Response.json({ success: false, error: 'Station not connected' }, { status: 404 });
+    await request.done;
+    return Response.json({
+      ...commandResult(request),
+      station_list_version: request.response?.listVersion ?? null,
+      server_list_version: localListVersion
+    });
+  }
+
+  if (url.pathname.startsWith('/api/idtags/')) {
+    const idTag = decodeURIComponent(url.pathname.split('/')[3]);
+    const tag = idTags.get(idTag);
+
+    if (req.method === 'DELETE') {
+      if (!tag || tag.deleted) return Response.json({ success: false, error: 'Unknown idTag' }, { status: 404 });
+      localListVersion++;
+      Object.assign(tag, { deleted: true, list_version: localListVersion, updated_at: new Date().toISOString() });
+      saveIdTag(tag);
+      return Response.json({ success: true, list_version: localListVersion });
+    }
+
+    if (req.method === 'PUT') {
+      try {
+        const error = upsertIdTag({ ...(await req.json()), id_tag: idTag });
+        if (error) return Response.json({ success: false, error }, { status: 400 });
+        return Response.json({ success: true, list_version: localListVersion });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+
+    if (!tag || tag.deleted) return Response.json({ success: false, error: 'Unknown idTag' }, { status: 404 });
+    return Response.json({ success: true, id_tag: { ...tag, effective: getIdTagInfo(idTag) } });
+  }
+
+  // Smart charging configuration and live allocation
+  if (url.pathname === '/api/load') {
+    return Response.json({
+      success: true,
+      sites: Array.from(loadSites.values()),
+      station_limits: Array.from(stationLimits.values()),
+      connector_overrides: Array.from(connectorOverrides.values()),
+      groups: loadManagementStatus()
+    });
+  }
+
+  // Profiles are computed right away; the chargers' answers show up in later GET /api/load calls
+  if (url.pathname === '/api/load/rebalance' && req.method === 'POST') {
+    requestRebalance();
+    return Response.json({ success: true, groups: loadManagementStatus() });
+  }
+
+  // PUT { limit, unit, stations: [...], min_limit } / DELETE
+  if (url.pathname.startsWith('/api/load/sites/')) {
+    const siteId = decodeURIComponent(url.pathname.split('/')[4] || '');
+    if (!siteId) return Response.json({ success: false, error: 'Site ID required' }, { status: 400 });
+
+    if (req.method === 'DELETE') {
+      loadSites.delete(siteId);
+      await storage.delete(['load', 'sites', siteId]);
+      requestRebalance();
+      return Response.json({ success: true });
+    }
+    if (req.method === 'PUT' || req.method === 'POST') {
+      try {
+        const body = await req.json();
+        const error = validateLimit(body) || (!Array.isArray(body.stations) ? 'stations must be an array of station IDs' : null);
+        if (error) return Response.json({ success: false, error }, { status: 400 });
+        const site = {
+          site_id: siteId,
+          limit: Number(body.limit),
+          unit: body.unit || 'A',
+          stations: body.stations.map(String),
+          min_limit: body.min_limit ? Number(body.min_limit) : null
+        };
+        loadSites.set(siteId, site);
+        await storage.set(['load', 'sites', siteId], site);
+        addLog(`🎛️ Site ${siteId} limit set to ${site.limit}${site.unit} across ${site.stations.length} stations`);
+        requestRebalance();
+        return Response.json({ success: true, site });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+  }
+
+  // PUT { limit, unit } / DELETE
+  if (url.pathname.startsWith('/api/load/stations/')) {
+    const stationId = decodeURIComponent(url.pathname.split('/')[4] || '');
+    if (req.method === 'DELETE') {
+      stationLimits.delete(stationId);
+      await storage.delete(['load', 'stations', stationId]);
+      requestRebalance();
+      return Response.json({ success: true });
+    }
+    if (req.method === 'PUT' || req.method === 'POST') {
+      try {
+        const body = await req.json();
+        const error = validateLimit(body);
+        if (error) return Response.json({ success: false, error }, { status: 400 });
+        const cap = { station_id: stationId, limit: Number(body.limit), unit: body.unit || 'A' };
+        stationLimits.set(stationId, cap);
+        await storage.set(['load', 'stations', stationId], cap);
+        addLog(`🎛️ Station ${stationId} limit set to ${cap.limit}${cap.unit}`);
+        requestRebalance();
+        return Response.json({ success: true, station_limit: cap });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+  }
+
+  // Operator override for one connector: PUT /api/load/connectors/:stationId/:connectorId { limit, unit } / DELETE
+  if (url.pathname.startsWith('/api/load/connectors/')) {
+    const [, , , , stationId, connector] = url.pathname.split('/');
+    const connectorId = parseInt(connector);
+    if (!stationId || isNaN(connectorId)) {
+      return Response.json({ success: false, error: 'Use /api/load/connectors/:stationId/:connectorId' }, { status: 400 });
+    }
+    const key = `${decodeURIComponent(stationId)}:${connectorId}`;
+    if (req.method === 'DELETE') {
+      connectorOverrides.delete(key);
+      await storage.delete(['load', 'overrides', key]);
+      requestRebalance();
+      return Response.json({ success: true });
+    }
+    if (req.method === 'PUT' || req.method === 'POST') {
+      try {
+        const body = await req.json();
+        const error = validateLimit(body);
+        if (error) return Response.json({ success: false, error }, { status: 400 });
+        const override = { station_id: decodeURIComponent(stationId), connector_id: connectorId, limit: Number(body.limit), unit: body.unit || 'A' };
+        connectorOverrides.set(key, override);
+        await storage.set(['load', 'overrides', key], override);
+        addLog(`🎛️ Port ${connectorId} on ${override.station_id} pinned to ${override.limit}${override.unit}`);
+        requestRebalance();
+        return Response.json({ success: true, override });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+  }
+
+  // Tariffs and their assignment to stations and connectors
+  if (url.pathname === '/api/tariffs') {
+    return Response.json({
+      success: true,
+      tariffs: Array.from(tariffs.values()),
+      station_tariffs: Array.from(stationTariffs.values()),
+      connector_tariffs: Array.from(connectorTariffs.values())
+    });
+  }
+
+  // PUT { tariff_id } / DELETE
+  if (url.pathname.startsWith('/api/tariffs/stations/')) {
+    const stationId = decodeURIComponent(url.pathname.split('/')[4] || '');
+    if (!stationId) return Response.json({ success: false, error: 'Station ID required' }, { status: 400 });
+    if (req.method === 'DELETE') {
+      stationTariffs.delete(stationId);
+      await storage.delete(['tariffs', 'stations', stationId]);
+      return Response.json({ success: true });
+    }
+    if (req.method === 'PUT' || req.method === 'POST') {
+      try {
+        const body = await req.json();
+        if (!tariffs.has(body.tariff_id)) return Response.json({ success: false, error: 'Unknown tariff_id' }, { status: 400 });
+        const assignment = { station_id: stationId, tariff_id: body.tariff_id };
+        stationTariffs.set(stationId, assignment);
+        await storage.set(['tariffs', 'stations', stationId], assignment);
+        addLog(`💶 Station ${stationId} priced with tariff ${body.tariff_id}`);
+        return Response.json({ success: true, station_tariff: assignment });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+  }
+
+  // PUT /api/tariffs/connectors/:stationId/:connectorId { tariff_id } / DELETE
+  if (url.pathname.startsWith('/api/tariffs/connectors/')) {
+    const [, , , , stationId, connector] = url.pathname.split('/');
+    const connectorId = parseInt(connector);
+    if (!stationId || isNaN(connectorId)) {
+      return Response.json({ success: false, error: 'Use /api/tariffs/connectors/:stationId/:connectorId' }, { status: 400 });
+    }
+    const key = `${decodeURIComponent(stationId)}:${connectorId}`;
+    if (req.method === 'DELETE') {
+      connectorTariffs.delete(key);
+      await storage.delete(['tariffs', 'connectors', key]);
+      return Response.json({ success: true });
+    }
+    if (req.method === 'PUT' || req.method === 'POST') {
+      try {
+        const body = await req.json();
+        if (!tariffs.has(body.tariff_id)) return Response.json({ success: false, error: 'Unknown tariff_id' }, { status: 400 });
+        const assignment = { station_id: decodeURIComponent(stationId), connector_id: connectorId, tariff_id: body.tariff_id };
+        connectorTariffs.set(key, assignment);
+        await storage.set(['tariffs', 'connectors', key], assignment);
+        addLog(`💶 Port ${connectorId} on ${assignment.station_id} priced with tariff ${body.tariff_id}`);
+        return Response.json({ success: true, connector_tariff: assignment });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+  }
+
+  // GET / PUT { currency, price_per_kwh, price_per_minute, session_fee, idle_fee_per_minute, idle_grace_minutes, idle_fee_max, timezone, bands, default } / DELETE
+  if (url.pathname.startsWith('/api/tariffs/')) {
+    const tariffId = decodeURIComponent(url.pathname.split('/')[3] || '');
+    if (!tariffId) return Response.json({ success: false, error: 'Tariff ID required' }, { status: 400 });
+
+    if (req.method === 'GET') {
+      if (!tariffs.has(tariffId)) return Response.json({ success: false, error: 'Unknown tariff' }, { status: 404 });
+      return Response.json({ success: true, tariff: tariffs.get(tariffId) });
+    }
+    if (req.method === 'DELETE') {
+      // Assignments to a deleted tariff fall back to the station tariff or the default
+      for (const [key, assignment] of connectorTariffs) {
+        if (assignment.tariff_id !== tariffId) continue;
+        connectorTariffs.delete(key);
+        await storage.delete(['tariffs', 'connectors', key]);
+      }
+      for (const [stationId, assignment] of stationTariffs) {
+        if (assignment.tariff_id !== tariffId) continue;
+        stationTariffs.delete(stationId);
+        await storage.delete(['tariffs', 'stations', stationId]);
+      }
+      tariffs.delete(tariffId);
+      await storage.delete(['tariffs', 'definitions', tariffId]);
+      return Response.json({ success: true });
+    }
+    if (req.method === 'PUT' || req.method === 'POST') {
+      try {
+        const body = await req.json();
+        const error = validateTariff(body);
+        if (error) return Response.json({ success: false, error }, { status: 400 });
+        const tariff = buildTariff(tariffId, body);
+        if (tariff.default) {
+          for (const other of tariffs.values()) {
+            if (other.tariff_id === tariffId || !other.default) continue;
+            other.default = false;
+            await storage.set(['tariffs', 'definitions', other.tariff_id], other);
+          }
+        }
+        tariffs.set(tariffId, tariff);
+        await storage.set(['tariffs', 'definitions', tariffId], tariff);
+        addLog(`💶 Tariff ${tariffId} saved (${tariff.price_per_kwh} ${tariff.currency}/kWh, ${tariff.bands.length} bands)`);
+        return Response.json({ success: true, tariff });
+      } catch (error) {
+        return Response.json({ success: false, error: error.message }, { status: 400 });
+      }
+    }
+  }
+
   // Tutorial endpoint
   if (url.pathname === '/tutorial') {
     const tutorialHtml = `<!DOCTYPE html>
@@ -571,45 +5800,119 @@ Deno.serve({ port: 8080 }, async (req) => {
         <p style="color: #64748b; margin-top: 8px;">Complete guide to connect your Base44 app with this Railway OCPP server</p>
       </div>
 
-      <div class="card">
-        <h3>🎯 Overview</h3>
-        <p>This Railway server acts as an OCPP 1.6 WebSocket server that manages EV charging devices. You can integrate it with Base44 to build custom charging management apps.</p>
-      </div>
+      <div class="card">
+        <h3>🎯 Overview</h3>
+        <p>This Railway server acts as an OCPP 1.6 and 2.0.1 WebSocket server that manages EV charging devices. You can integrate it with Base44 to build custom charging management apps.</p>
+      </div>
+
+      <div class="card">
+        <h3>🔗 Available API Endpoints</h3>
+        <p>Every endpoint needs credentials: an API key as <code>Authorization: Bearer &lt;key&gt;</code> (or <code>x-api-key</code>), or a user via HTTP Basic. After ${AUTH_MAX_FAILURES} wrong passwords for one username within a minute, further attempts are refused unchecked until the minute is over. Roles: <strong>viewer</strong> reads, <strong>operator</strong> can start/stop/unlock/reset and manage idTags, <strong>admin</strong> can do everything including configuration, users and keys.</p>
+
+        <div class="step">
+          <span class="badge badge-post">POST</span>
+          <code>/api/auth/keys</code>
+          <p style="margin-top: 10px;">Admin only. Create an API key for an integration - the key is only shown once. <code>GET</code> lists keys, <code>DELETE /api/auth/keys/:id</code> revokes. Users are managed the same way on <code>/api/auth/users</code>; <code>GET /api/auth/me</code> shows who you are.</p>
+          <div class="endpoint">
+Request Body: { name: "base44", role: "operator" }
+Response: { success: true, id: "3fa1c2d4e5f6", key: "3fa1c2d4e5f6.9b0c..." }
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span>
+          <code>/api/status</code>
+          <p style="margin-top: 10px;">Check if Railway server is online and get device/session counts.</p>
+          <div class="endpoint">
+Response: { success: true, devices: 1, sessions: 3, devices_online: 1 }
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span>
+          <code>/api/devices</code>
+          <p style="margin-top: 10px;">Get list of all connected charging devices.</p>
+          <div class="endpoint">
+Response: {
+  success: true,
+  devices: [{
+    station_id: "01",
+    vendor: "ChargePoint",
+    model: "M01-10",
+    status: "online" or "offline",
+    connected_at: "2025-12-11T10:30:00Z"
+  }]
+}
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span>
+          <code>/api/devices/:stationId/connectors</code>
+          <p style="margin-top: 10px;">OCPP connector states from StatusNotification (connector 0 is the whole charger). Transitions the spec does not allow are flagged with <code>valid_transition: false</code>.</p>
+          <div class="endpoint">
+Response: {
+  success: true,
+  connectors: [{ connector_id: 1, status: "SuspendedEV", previous_status: "Charging", error_code: "NoError", info: null, vendor_error_code: null, since: "...", valid_transition: true }]
+}
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span> <span class="badge badge-post">POST</span>
+          <code>/api/devices/:stationId/device-model</code>
+          <p style="margin-top: 10px;">OCPP 2.0.1 chargers (subprotocol <code>ocpp2.0.1</code>) report their device model with NotifyReport; <code>GET</code> lists the variables (<code>?component=</code> filters), <code>POST</code> sends <code>GetBaseReport</code>. For 2.0.1 chargers ports are EVSE ids, sessions come from TransactionEvent (keyed <code>&lt;stationId&gt;:&lt;transactionId&gt;</code>, as stations pick their own ids) and commands use 2.0.1 names (<code>RequestStartTransaction</code>, <code>RequestStopTransaction</code>, ...).</p>
+          <div class="endpoint">
+POST Body: { report_base: "FullInventory" }   // or "ConfigurationInventory", "SummaryInventory"
+GET Response: { success: true, count: 1, variables: [{ key: "EVSE@1/Power", attributes: { Actual: { value: "22000", mutability: "ReadOnly" } } }] }
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span> <span class="badge badge-post">POST</span>
+          <code>/api/devices/:stationId/configuration</code>
+          <p style="margin-top: 10px;">OCPP 1.6 configuration keys, read with <code>GetConfiguration</code> after every BootNotification and shown on <code>/stations/:stationId</code>. <code>POST</code> reads them again (<code>{ keys: [...] }</code> for some), <code>PUT /api/devices/:stationId/configuration/:key</code> with <code>{ value }</code> sends <code>ChangeConfiguration</code> (admin) and returns the charger's <code>Accepted</code>, <code>RebootRequired</code>, <code>Rejected</code> or <code>NotSupported</code>. Templates (<code>PUT /api/config/templates/:templateId</code>) hold settings for a list of stations; they are enforced after every boot unless <code>apply_on_boot: false</code>, and <code>POST /api/config/templates/:templateId/apply</code> pushes them now.</p>
+          <div class="endpoint">
+PUT /api/devices/CP001/configuration/MeterValueSampleInterval   { value: "30" }
+PUT /api/config/templates/depot   { settings: { HeartbeatInterval: "300", MeterValuesSampledData: "Energy.Active.Import.Register,Power.Active.Import" }, stations: ["CP001", "CP002"] }
+          </div>
+        </div>
 
-      <div class="card">
-        <h3>🔗 Available API Endpoints</h3>
+        <div class="step">
+          <span class="badge badge-post">POST</span>
+          <code>/api/firmware/rollouts</code>
+          <p style="margin-top: 10px;">Firmware updates (admin). Upload an image with <code>PUT /api/firmware/files/:name?version=</code> (raw body), then roll it out: every station gets <code>UpdateFirmware</code> with its own download link on this server (<code>PUBLIC_URL</code> sets the address chargers use). <code>GET /api/firmware/rollouts/:rolloutId</code> shows each station's progress through the charger's <code>FirmwareStatusNotification</code> statuses; a station is <code>Succeeded</code> once it boots with the new version. Offline stations get the update when they come back; <code>DELETE</code> cancels the ones that haven't started. <code>POST /api/devices/:stationId/diagnostics</code> asks for <code>GetDiagnostics</code> (<code>GetLog</code> on 2.0.1), uploaded to this server and listed at <code>/api/diagnostics</code>.</p>
+          <div class="endpoint">
+PUT /api/firmware/files/ac22-1.4.2.bin?version=1.4.2   (body: the image)
+POST /api/firmware/rollouts   { file: "ac22-1.4.2.bin", stations: ["CP001", "CP002"], retrieve_date: "2025-01-10T02:00:00Z" }
+POST /api/devices/CP001/diagnostics   { start_time: "2025-01-09T00:00:00Z" }
+          </div>
+        </div>
 
         <div class="step">
           <span class="badge badge-get">GET</span>
-          <code>/api/status</code>
-          <p style="margin-top: 10px;">Check if Railway server is online and get device/session counts.</p>
+          <code>/api/devices/:stationId/connections</code>
+          <p style="margin-top: 10px;">Connection history of a station (connected, disconnected, offline, online, reconnected, each with the duration of what it ended) and its uptime over 24 hours, 7 and 30 days. Every OCPP message from a station counts as a sign of life; WebSocket pings do not, as they are answered even by a charger whose software has hung. A station is marked offline after ${MISSED_HEARTBEATS_OFFLINE} heartbeat intervals plus ${OFFLINE_GRACE_S}s without one; the interval is its configured <code>HeartbeatInterval</code>, else the one BootNotification gave it (<code>HEARTBEAT_INTERVAL</code>, ${HEARTBEAT_INTERVAL_S}s). Sockets that stop answering WebSocket pings are closed after <code>WS_IDLE_TIMEOUT</code> (${WS_IDLE_TIMEOUT_S}s).</p>
           <div class="endpoint">
-Response: { success: true, devices: 1, sessions: 3, devices_online: 1 }
+GET /api/devices/CP001/connections?limit=50
           </div>
         </div>
 
         <div class="step">
-          <span class="badge badge-get">GET</span>
-          <code>/api/devices</code>
-          <p style="margin-top: 10px;">Get list of all connected charging devices.</p>
+          <span class="badge badge-post">POST</span>
+          <code>/api/reservations</code>
+          <p style="margin-top: 10px;">Reserve a port for an idTag until <code>expiry_date</code> (operator); the charger gets <code>ReserveNow</code> and only that idTag (or its group) can start there. A reservation is <code>Active</code> once the charger accepts it, <code>Used</code> when the transaction starts (the session records its <code>reservation_id</code>), and otherwise ends <code>Cancelled</code> or <code>Expired</code>. <code>connector_id: 0</code> reserves any free port on 1.6 chargers. <code>DELETE /api/reservations/:reservationId</code> sends <code>CancelReservation</code>; reserved ports show on the dashboard and <code>/port/:n</code>.</p>
           <div class="endpoint">
-Response: {
-  success: true,
-  devices: [{
-    station_id: "01",
-    vendor: "ChargePoint",
-    model: "M01-10",
-    status: "online" or "offline",
-    connected_at: "2025-12-11T10:30:00Z"
-  }]
-}
+POST /api/reservations   { station_id: "CP001", connector_id: 2, id_tag: "RFID123", expiry_date: "2025-01-10T18:30:00Z" }
+GET /api/reservations?station=CP001&status=Active
+DELETE /api/reservations/1736530200
           </div>
         </div>
 
         <div class="step">
           <span class="badge badge-get">GET</span>
           <code>/api/sessions/:stationId</code>
-          <p style="margin-top: 10px;">Get active charging sessions for a specific device (e.g., /api/sessions/01).</p>
+          <p style="margin-top: 10px;">Get active charging sessions for a specific device (e.g., /api/sessions/01). When a station disconnects or goes offline its sessions are suspended (<code>suspended_at</code>, <code>suspend_reason</code>) rather than completed; they resume when the station continues the transaction, buffered MeterValues included, or sends anything but a BootNotification after reconnecting, and keep the gap in <code>interruptions</code>. Sessions not resumed within <code>SESSION_RESUME_GRACE</code> (${SESSION_RESUME_GRACE_MS / 1000}s) are completed as of the moment they were suspended.</p>
           <div class="endpoint">
 Response: {
   success: true,
@@ -621,27 +5924,183 @@ Response: {
     voltage_v: 229,
     current_a: 1.94,
     temperature_c: 0,
-    start_time: "2025-12-11T10:45:00Z"
+    soc_percent: 64,               // only if the charger reports SoC
+    start_time: "2025-12-11T10:45:00Z",
+    measurands: {                  // every measurand, units normalised (Wh, W, A, V, Celsius)
+      "Current.Import": { value: 16.2, unit: "A", phases: { L1: 16.2, L2: 15.9, L3: 16.0 }, context: "Sample.Periodic", timestamp: "..." }
+    }
   }]
 }
           </div>
         </div>
 
+        <div class="step">
+          <span class="badge badge-get">GET</span>
+          <code>/events</code>
+          <p style="margin-top: 10px;">Server-Sent Events stream of live changes: <code>device</code>, <code>session_started</code>, <code>session_stopped</code>, <code>meter</code> and <code>log</code>. Filter with <code>?types=session_started,session_stopped</code>.</p>
+          <div class="endpoint">
+const events = new EventSource('https://newoccp.up.railway.app/events?types=meter');
+events.addEventListener('meter', (e) => {
+  const { data } = JSON.parse(e.data);   // the session, including transaction_id
+  console.log(data.connector_id, data.current_power_w);
+});
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span>
+          <code>/api/sessions/:transactionId/meter-values</code>
+          <p style="margin-top: 10px;">Every stored meter sample of a transaction plus max/avg statistics. The same data is charted on <code>/sessions/:transactionId</code>, linked from the logs. Samples are kept for <code>METER_RETENTION_DAYS</code> (${METER_RETENTION_DAYS || 'unlimited'} days) after the session started; the session totals stay.</p>
+          <div class="endpoint">
+Response: {
+  success: true,
+  status: "completed",
+  stats: { max_power_w: 7200, avg_power_w: 6890, max_current_a: 31.8, avg_current_a: 30.1, avg_voltage_v: 229.4, energy_kwh: 12.4 },
+  samples: [{ timestamp: "2025-12-11T10:45:10Z", context: "Sample.Periodic", energy_kwh: 0.012, current_power_w: 7100, voltage_v: 229, current_a: 31 }]
+}
+          </div>
+        </div>
+
         <div class="step">
           <span class="badge badge-post">POST</span>
           <code>/command</code>
-          <p style="margin-top: 10px;">Send OCPP commands to devices (start/stop charging).</p>
+          <p style="margin-top: 10px;">Send OCPP commands to devices (start/stop charging). Waits up to 30s for the charger's answer; <code>success</code> is only true if the charger accepted. Operators signed in to the dashboard also get start/stop, unlock, reset and availability buttons on every station and port, which go through this endpoint.</p>
           <div class="endpoint">
 Request Body:
 {
   station_id: "01",
   action: "RemoteStartTransaction",
-  payload: { connectorId: 8, idTag: "user@email.com" }
+  payload: { connectorId: 8, idTag: "user@email.com" },
+  wait: true,     // optional, false = return 202 immediately and poll
+  timeout: 30     // optional, seconds (max 120)
+}
+
+Response: {
+  success: false,
+  messageId: "5f0c...",
+  status: "completed",        // pending | completed | error | timeout
+  response: { status: "Rejected" },
+  error: null                 // { code: "NotSupported", description: "..." } on CALLERROR
+}
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-post">POST</span>
+          <code>BRIDGE_URL</code>
+          <p style="margin-top: 10px;">What the server sends to your bridge and to every webhook. Every event is a versioned envelope; the bridge receives <code>station.registered</code>, <code>station.updated</code>, <code>session.started</code>, <code>session.completed</code> and <code>meter.values</code>. With <code>BRIDGE_SECRET</code> (or a webhook secret) set, each request is signed: verify the HMAC, reject timestamps older than 5 minutes and ignore envelope ids you have already processed.</p>
+          <div class="endpoint">
+Headers:
+  x-bridge-event: session.completed
+  x-bridge-timestamp: 1760000000                  // unix seconds, time of this delivery attempt
+  x-bridge-signature: v1=&lt;hex HMAC-SHA256(BRIDGE_SECRET, timestamp + "." + raw body)&gt;
+Body:
+{
+  version: 1,
+  id: "6f1c0a52-...",                             // stays the same across retries
+  type: "session.completed",
+  timestamp: "2025-10-19T10:05:00.000Z",          // when it happened
+  station_id: "01",
+  payload: { transaction_id: "1760000000000", connector_id: 1, status: "completed", end_time: "...", energy_delivered: 12.4, duration_minutes: 95, stop_reason: "EVDisconnected" }
+}
+          </div>
+          <div class="endpoint" style="margin-top: 10px;">
+// Verifying in a Base44 function
+const timestamp = req.headers.get('x-bridge-timestamp');
+const body = await req.text();
+const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(Deno.env.get("BRIDGE_SECRET")),
+  { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+const mac = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(\`\${timestamp}.\${body}\`));
+const expected = 'v1=' + Array.from(new Uint8Array(mac)).map(b => b.toString(16).padStart(2, '0')).join('');
+if (expected !== req.headers.get('x-bridge-signature') || Math.abs(Date.now() / 1000 - Number(timestamp)) > 300) {
+  return new Response('Invalid signature', { status: 401 });
 }
+const event = JSON.parse(body);
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span> <span class="badge badge-post">POST</span>
+          <code>/api/webhooks</code>
+          <p style="margin-top: 10px;">Admin only. Subscribe any number of consumers to events: <code>station.online</code>, <code>station.offline</code>, <code>connector.faulted</code>, <code>session.started</code>, <code>session.completed</code>, <code>meter.values</code>, <code>station.registered</code>, <code>station.updated</code>. Each subscription gets the signed envelope above, signed with its own secret (returned once on creation), and has its own queue: delivered in order per station, retried with exponential backoff (2s up to 15 min) and parked as <code>failed</code> after 12 attempts or a 4xx answer. <code>PUT</code>/<code>DELETE /api/webhooks/:id</code> edit or remove; <code>BRIDGE_URL</code> appears as the built-in <code>bridge</code> subscription. <code>GET /api/webhooks/outbox</code> shows queued and failed deliveries (<code>?subscription=</code>, <code>?status=</code>), <code>POST /api/webhooks/outbox/replay</code> retries failed ones and <code>DELETE /api/webhooks/outbox/:id</code> discards one.</p>
+          <div class="endpoint">
+Request Body: { url: "https://billing.example.com/ocpp", event_types: ["session.started", "session.completed"], description: "Billing" }
+Response: { success: true, id: "a1b2c3d4e5f6", secret: "9f8e...", depth: 0, failed: 0, delivered: 0, last_success_at: null, last_error: null }
+Replay Body: { subscription: "a1b2c3d4e5f6" }   // or { ids: [...] }, or {} for every failed delivery
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span> <span class="badge badge-post">POST</span>
+          <code>/api/stations</code>
+          <p style="margin-top: 10px;">Admin only for changes. Chargers must be provisioned before they can connect and log in with HTTP Basic (username = station id, password = AuthorizationKey). Profile 1 allows <code>ws://</code>, profile 2 requires <code>wss://</code>. <code>POST /api/stations/:id/rotate</code> issues a new password and sends it to a connected charger with <code>ChangeConfiguration</code> (the old one keeps working until the charger uses the new one); <code>DELETE /api/stations/:id</code> revokes and disconnects. Set <code>ALLOW_UNREGISTERED_STATIONS=true</code> to let unknown stations in without credentials. Chargers negotiate the <code>ocpp2.0.1</code> or <code>ocpp1.6</code> subprotocol (1.6 when they offer none); every message is checked against the JSON schemas of that OCPP version and invalid ones are answered with a CALLERROR (<code>FormationViolation</code>, <code>ProtocolError</code>, <code>TypeConstraintViolation</code>, <code>PropertyConstraintViolation</code>, <code>NotImplemented</code>, ...).</p>
+          <div class="endpoint">
+Request Body: { station_id: "01", security_profile: 2 }   // optional password (16-40 chars)
+Response: { success: true, station_id: "01", password: "4f1c9a..." }   // shown once
+Charger URL: wss://newoccp.up.railway.app/ocpp16/01
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span> <span class="badge badge-post">POST</span>
+          <code>/api/idtags</code>
+          <p style="margin-top: 10px;">List or add whitelisted idTags used by Authorize and StartTransaction. Unknown tags are rejected unless <code>ALLOW_UNKNOWN_ID_TAGS=true</code>. Use <code>PUT</code>/<code>DELETE /api/idtags/:idTag</code> to edit or remove.</p>
+          <div class="endpoint">
+Request Body:
+{
+  id_tag: "RFID123",
+  status: "Accepted",                    // Accepted | Blocked | Expired | Invalid
+  expiry_date: "2026-12-31T23:59:59Z",   // optional
+  parent_id_tag: "FLEET-A"               // optional group tag
+}
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-post">POST</span>
+          <code>/api/idtags/push</code>
+          <p style="margin-top: 10px;">Push the whitelist to a charger's local list with SendLocalList. <code>POST /api/idtags/version/:stationId</code> (operator) returns the charger's GetLocalListVersion.</p>
+          <div class="endpoint">
+Request Body: { station_id: "01", update_type: "Full" }   // or "Differential"
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span> <span class="badge badge-post">PUT</span>
+          <code>/api/load</code>
+          <p style="margin-top: 10px;">Smart charging. Sites share a grid connection; every 15s the limit is split across active sessions and pushed as a <code>SetChargingProfile</code> TxProfile. Configure with <code>PUT /api/load/sites/:siteId</code>, <code>PUT /api/load/stations/:stationId</code> and per-connector overrides on <code>PUT /api/load/connectors/:stationId/:connectorId</code> (<code>DELETE</code> removes and clears the profile). <code>POST /api/load/rebalance</code> starts a pass immediately. Changes answer right away; the chargers' answers show as <code>profile.status</code> on <code>GET /api/load</code>.</p>
+          <div class="endpoint">
+PUT /api/load/sites/depot-a
+{ limit: 63, unit: "A", stations: ["01", "02"] }     // unit "A" or "W"
+          </div>
+        </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span>
+          <code>/api/tariffs</code>
+          <p style="margin-top: 10px;">Pricing. A tariff has base prices per kWh and per minute, a session fee, time-of-day <code>bands</code> (local time in <code>timezone</code>, optional <code>days</code> with 0 = Sunday) that override the base prices, and an idle fee per minute once charging has stopped. Create with <code>PUT /api/tariffs/:tariffId</code>, assign with <code>PUT /api/tariffs/stations/:stationId</code> or <code>PUT /api/tariffs/connectors/:stationId/:connectorId</code> (<code>{ tariff_id }</code>); unassigned connectors use the tariff marked <code>default</code>. Completed sessions carry the breakdown in <code>cost</code>, shown in <code>/logs</code> and its CSV.</p>
+          <div class="endpoint">
+PUT /api/tariffs/standard
+{ currency: "EUR", price_per_kwh: 0.39, session_fee: 0.5, idle_fee_per_minute: 0.1, idle_grace_minutes: 30,
+  timezone: "Europe/Amsterdam", bands: [{ name: "peak", start: "17:00", end: "21:00", price_per_kwh: 0.49 }], default: true }
+          </div>
+        </div>
 
-Response: { success: true, message: "Command sent" }
+        <div class="step">
+          <span class="badge badge-get">GET</span>
+          <code>/api/cdrs</code>
+          <p style="margin-top: 10px;">Charge Detail Records for billing: one per completed session with idTag, group (<code>parent_id_tag</code> at the time of charging), energy, duration and cost. Filter with <code>?month=YYYY-MM</code>, <code>id_tag</code> (a card or a group) and <code>station</code>; <code>format=csv</code> downloads them. <code>/api/cdrs/summary</code> totals per card, or per group with <code>?by=group</code>. Printable monthly statements are at <code>/statements?month=YYYY-MM</code>.</p>
+          <div class="endpoint">
+GET /api/cdrs?month=2025-01&id_tag=FLEET-A&format=csv
+GET /statements/FLEET-A?month=2025-01
           </div>
         </div>
+
+        <div class="step">
+          <span class="badge badge-get">GET</span>
+          <code>/command/:messageId</code>
+          <p style="margin-top: 10px;">Look up the outcome of a command sent with <code>wait: false</code> (kept for 10 minutes).</p>
+        </div>
       </div>
 
       <div class="card">
@@ -655,12 +6114,15 @@ Response: { success: true, message: "Command sent" }
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
 
 const RAILWAY_URL = Deno.env.get("RAILWAY_URL");
+const RAILWAY_API_KEY = Deno.env.get("RAILWAY_API_KEY");
 
 Deno.serve(async (req) => {
   try {
     const { endpoint } = await req.json();
 
-    const response = await fetch(\`\${RAILWAY_URL}\${endpoint}\`);
+    const response = await fetch(\`\${RAILWAY_URL}\${endpoint}\`, {
+      headers: { 'Authorization': \`Bearer \${RAILWAY_API_KEY}\` }
+    });
     const data = await response.json();
 
     return Response.json(data);
@@ -677,6 +6139,7 @@ Deno.serve(async (req) => {
           <p style="margin-top: 10px;">Go to Base44 Dashboard → Settings → Environment Variables and add:</p>
           <div class="endpoint" style="margin-top: 10px;">
 RAILWAY_URL=https://newoccp.up.railway.app
+RAILWAY_API_KEY=&lt;key from POST /api/auth/keys, role operator&gt;
           </div>
           <p style="margin-top: 8px; font-size: 12px; color: #64748b;">(Replace with your actual Railway app URL)</p>
         </div>
@@ -704,13 +6167,14 @@ console.log(data.sessions);
           <p style="margin-top: 10px;">Create <code>functions/sendRailwayCommand.js</code>:</p>
           <div class="endpoint" style="margin-top: 10px;">
 const RAILWAY_URL = Deno.env.get("RAILWAY_URL");
+const RAILWAY_API_KEY = Deno.env.get("RAILWAY_API_KEY");
 
 Deno.serve(async (req) => {
   const { station_id, action, payload } = await req.json();
 
   const response = await fetch(\`\${RAILWAY_URL}/command\`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', 'Authorization': \`Bearer \${RAILWAY_API_KEY}\` },
     body: JSON.stringify({ station_id, action, payload })
   });
 
@@ -776,7 +6240,23 @@ const { data: sessions } = useQuery({
       return new Response('Invalid port number', { status: 400 });
     }
 
-    const portSessions = completedSessions.filter(s => s.connector_id === portNumber);
+    const portSessions = await storage.querySessions({ connector: portNumber });
+
+    // Online stations that have this port, with the session running on it
+    const portStations = Array.from(connectedDevices.values())
+      .filter(d => d.socket && d.status !== 'offline')
+      .map(d => ({
+        stationId: d.station_id,
+        connector: d.connectors?.[portNumber],
+        txId: Array.from(activeSessions.entries()).find(([, s]) => s.station_id === d.station_id && s.connector_id === portNumber)?.[0]
+      }))
+      .filter(p => p.connector || p.txId);
+
+    // Current and recent reservations of this port (connector 0 ones hold any port of their station)
+    const portReservations = Array.from(reservations.values())
+      .filter(r => r.connector_id === portNumber || (r.connector_id === 0 && r.status === 'Active'))
+      .sort((a, b) => b.requested_at.localeCompare(a.requested_at))
+      .slice(0, 10);
     
     // Group by date
     const byDate = {};
@@ -812,9 +6292,14 @@ const { data: sessions } = useQuery({
     .btn { display: inline-block; padding: 12px 24px; background: #667eea; color: white; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; text-decoration: none; }
     .btn:hover { background: #5568d3; }
     .empty { text-align: center; padding: 60px; color: #94a3b8; font-size: 16px; }
+    .station-ops { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 10px; padding: 12px 0; border-bottom: 1px solid #e2e8f0; }
+    ${OPERATIONS_STYLE}
   </style>
+  <script>
+    ${OPERATIONS_SCRIPT}
+  </script>
 </head>
-<body>
+<body class="${hasRole(identity, 'operator') ? 'can-operate' : ''}">
   <div class="container">
     <div class="header">
       <div class="title">🔌 Port ${portNumber} - Complete History</div>
@@ -825,13 +6310,44 @@ const { data: sessions } = useQuery({
       </div>
     </div>
 
+    ${hasRole(identity, 'operator') && portStations.length > 0 ? `
+    <div class="card">
+      <div class="date-header">🕹️ Remote Operations</div>
+      ${portStations.map(({ stationId, txId, connector }) => `
+      <div class="station-ops">
+        <div><strong>${escapeHtml(stationId)}</strong> · ${escapeHtml(connector?.status || 'Unknown')}${txId ? ` · session <a href="/sessions/${encodeURIComponent(txId)}">${escapeHtml(txId)}</a>` : ''}</div>
+        ${renderConnectorActions(stationId, portNumber, txId, connector)}
+      </div>`).join('')}
+    </div>` : ''}
+
+    ${portReservations.length > 0 ? `
+    <div class="card">
+      <div class="date-header">📅 Reservations</div>
+      <table>
+        <thead>
+          <tr><th>Reservation</th><th>Station</th><th>idTag</th><th>Expires</th><th>Status</th><th>Session</th></tr>
+        </thead>
+        <tbody>
+          ${portReservations.map(r => `
+          <tr>
+            <td>${r.reservation_id}</td>
+            <td>${escapeHtml(r.station_id)}${r.connector_id === 0 ? ' (any port)' : ''}</td>
+            <td>${escapeHtml(r.id_tag)}</td>
+            <td>${new Date(r.expiry_date).toLocaleString()}</td>
+            <td><strong>${r.status}</strong></td>
+            <td>${r.transaction_id ? `<a href="/sessions/${encodeURIComponent(r.transaction_id)}">${escapeHtml(r.transaction_id)}</a>` : '-'}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>` : ''}
+
     ${Object.keys(byDate).length === 0 ? 
       '<div class="card"><div class="empty">No charging history yet for Port ' + portNumber + '</div></div>' :
       Object.keys(byDate).sort().reverse().map(day => {
         const daySessions = byDate[day];
         const dayEnergy = daySessions.reduce((sum, s) => sum + (parseFloat(s.energy_kwh) || 0), 0);
         const dayDuration = daySessions.reduce((sum, s) => sum + (s.duration_minutes || 0), 0);
-        const avgPower = daySessions.reduce((sum, s) => sum + (s.current_power_w || 0), 0) / daySessions.length;
+        const avgPower = daySessions.reduce((sum, s) => sum + (s.avg_power_w ?? s.current_power_w ?? 0), 0) / daySessions.length;
         
         return `
           <div class="card">
@@ -877,13 +6393,13 @@ const { data: sessions } = useQuery({
               <tbody>
                 ${daySessions.map(s => `
                   <tr>
-                    <td>${new Date(s.start_time).toLocaleTimeString()}</td>
+                    <td><a href="/sessions/${encodeURIComponent(s.transaction_id)}" style="color:#667eea;font-weight:600;text-decoration:none;">${new Date(s.start_time).toLocaleTimeString()}</a></td>
                     <td>${s.end_time ? new Date(s.end_time).toLocaleTimeString() : 'Active'}</td>
                     <td>${s.duration_minutes || 0} min</td>
-                    <td><strong>${(s.energy_kwh || 0).toFixed(5)}</strong></td>
-                    <td>${s.current_power_w || 0} W</td>
-                    <td>${(s.voltage_v || 0).toFixed(1)} V</td>
-                    <td>${(s.current_a || 0).toFixed(2)} A</td>
+                    <td><strong>${(Number(s.energy_kwh) || 0).toFixed(5)}</strong></td>
+                    <td>${(s.max_power_w ?? s.current_power_w ?? 0).toFixed(0)} W</td>
+                    <td>${(s.avg_voltage_v ?? s.voltage_v ?? 0).toFixed(1)} V</td>
+                    <td>${(s.avg_current_a ?? s.current_a ?? 0).toFixed(2)} A</td>
                     <td>${(s.temperature_c || 0).toFixed(0)} °C</td>
                   </tr>
                 `).join('')}
@@ -902,6 +6418,18 @@ const { data: sessions } = useQuery({
     });
   }
 
+  // Session detail page with power and energy charts
+  if (url.pathname.startsWith('/sessions/')) {
+    const txId = decodeURIComponent(url.pathname.split('/')[2] || '');
+    const session = activeSessions.get(txId) || await storage.getSession(txId);
+    if (!session) {
+      return new Response('Session not found', { status: 404 });
+    }
+    return new Response(generateSessionPage(txId, session, await getMeterPoints(txId)), {
+      headers: { 'Content-Type': 'text/html' }
+    });
+  }
+
   // Logs endpoint
   if (url.pathname === '/logs') {
     const date = url.searchParams.get('date');
@@ -910,29 +6438,25 @@ const { data: sessions } = useQuery({
     const port = url.searchParams.get('port');
     const format = url.searchParams.get('format');
 
-    let filtered = [...completedSessions];
-
-    if (date) {
-      filtered = filtered.filter(s => s.start_time.startsWith(date));
-    }
+    // Day or month narrows the start_time range; both are ISO prefixes
+    const period = date || month;
+    let filtered = await storage.querySessions({
+      station: station || undefined,
+      connector: parseInt(port) || undefined,
+      from: period || undefined,
+      to: period ? `${period}\uffff` : undefined
+    });
 
-    if (month) {
+    if (date && month) {
       filtered = filtered.filter(s => s.start_time.startsWith(month));
     }
 
-    if (station) {
-      filtered = filtered.filter(s => s.station_id === station);
-    }
-
-    if (port) {
-      filtered = filtered.filter(s => s.connector_id === parseInt(port));
-    }
-
     if (format === 'csv') {
       const csv = [
-        'Date,Station,Port,Start Time,End Time,Duration (min),Energy (kWh),Max Power (W),Avg Voltage (V),Avg Current (A)',
+        'Date,Station,Port,Start Time,End Time,Duration (min),Energy (kWh),Max Power (W),Avg Voltage (V),Avg Current (A),Energy Cost,Time Cost,Session Fee,Idle Fee,Total Cost,Currency',
         ...filtered.map(s => 
-          `${s.start_time.split('T')[0]},${s.station_id},${s.connector_id},${s.start_time},${s.end_time || 'N/A'},${s.duration_minutes || 0},${s.energy_kwh || 0},${s.current_power_w || 0},${s.voltage_v || 0},${s.current_a || 0}`
+          `${s.start_time.split('T')[0]},${s.station_id},${s.connector_id},${s.start_time},${s.end_time || 'N/A'},${s.duration_minutes || 0},${Number(s.energy_kwh) || 0},${s.max_power_w ?? s.current_power_w ?? 0},${s.avg_voltage_v ?? s.voltage_v ?? 0},${s.avg_current_a ?? s.current_a ?? 0},` +
+          (s.cost ? `${s.cost.energy},${s.cost.time},${s.cost.session_fee},${s.cost.idle},${s.cost.total},${s.cost.currency}` : ',,,,,')
         )
       ].join('\n');
 
@@ -951,164 +6475,344 @@ const { data: sessions } = useQuery({
     });
   }
 
-  // Command endpoint
+  // Charge Detail Records: GET /api/cdrs?month=YYYY-MM&id_tag=&station=&format=csv
+  if (url.pathname === '/api/cdrs' || url.pathname === '/api/cdrs/summary') {
+    const month = url.searchParams.get('month');
+    if (month && !/^\d{4}-\d{2}$/.test(month)) {
+      return Response.json({ success: false, error: 'month must be YYYY-MM' }, { status: 400 });
+    }
+    const idTag = url.searchParams.get('id_tag');
+    const cdrs = await queryCdrs({ month, idTag, station: url.searchParams.get('station') });
+
+    // Totals per card, or per group with ?by=group
+    if (url.pathname === '/api/cdrs/summary') {
+      const byGroup = url.searchParams.get('by') === 'group';
+      return Response.json({
+        success: true,
+        month,
+        customers: summarizeCdrs(cdrs, byGroup ? cdr => cdr.parent_id_tag || cdr.id_tag : undefined)
+      });
+    }
+    if (url.searchParams.get('format') === 'csv') {
+      const fileName = `cdrs${idTag ? `-${idTag.replace(/[^A-Za-z0-9_-]/g, '_')}` : ''}${month ? `-${month}` : ''}.csv`;
+      return new Response(cdrCsv(cdrs), {
+        headers: {
+          'Content-Type': 'text/csv',
+          'Content-Disposition': `attachment; filename="${fileName}"`
+        }
+      });
+    }
+    return Response.json({ success: true, month, count: cdrs.length, cdrs });
+  }
+
+  // Monthly statements, /statements lists customers and /statements/:idTag is the printable page
+  if (url.pathname === '/statements' || url.pathname.startsWith('/statements/')) {
+    const month = url.searchParams.get('month') || new Date().toISOString().slice(0, 7);
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      return Response.json({ success: false, error: 'month must be YYYY-MM' }, { status: 400 });
+    }
+    const idTag = decodeURIComponent(url.pathname.split('/')[2] || '');
+    const html = idTag ?
+      generateStatementPage(idTag, month, await queryCdrs({ month, idTag })) :
+      generateStatementsIndex(month, summarizeCdrs(await queryCdrs({ month }), cdr => cdr.parent_id_tag || cdr.id_tag));
+    return new Response(html, {
+      headers: { 'Content-Type': 'text/html' }
+    });
+  }
+
+  // Station detail page
+  if (url.pathname.startsWith('/stations/')) {
+    const device = connectedDevices.get(decodeURIComponent(url.pathname.split('/')[2] || ''));
+    if (!device) {
+      return new Response('Unknown station', { status: 404 });
+    }
+    return new Response(generateStationPage(device, identity), {
+      headers: { 'Content-Type': 'text/html' }
+    });
+  }
+
+  // Command endpoint - waits for the charger's answer unless { wait: false } is passed
   if (url.pathname === '/command' && req.method === 'POST') {
     try {
-      const { station_id, action, payload } = await req.json();
-      const device = connectedDevices.get(station_id);
-      
-      if (!device || !device.socket || device.socket.readyState !== WebSocket.OPEN) {
+      const { station_id, action, payload, wait = true, timeout } = await req.json();
+      if (!action) {
+        return Response.json({ success: false, error: 'action is required' }, { status: 400 });
+      }
+
+      // Between 1 s and 2 min, so a zero or negative timeout doesn't fail the command before it is sent
+      const timeoutMs = Math.max(Math.min(parseInt(timeout) * 1000 || COMMAND_TIMEOUT_MS, 120000), 1000);
+      const actionRole = requiredRoleForAction(action);
+      if (!hasRole(identity, actionRole)) {
+        addLog(`🚫 ${identity.name} (${identity.role}) denied ${action} on ${station_id}`);
+        return Response.json({ success: false, error: `${action} requires ${actionRole} role` }, { status: 403 });
+      }
+
+      const request = sendCall(station_id, action, payload || {}, timeoutMs, identity.name);
+      if (!request) {
         return Response.json({ success: false, error: 'Station not connected' }, { status: 404 });
       }
 
-      const messageId = Date.now().toString();
-      const ocppMessage = [CALL, messageId, action, payload || {}];
-      device.socket.send(JSON.stringify(ocppMessage));
-      
-      addLog(`📤 Sent ${action} to ${station_id}`);
-      return Response.json({ success: true, message: 'Command sent', messageId });
+      addLog(`📤 Sent ${action} to ${station_id} (by ${identity.name})`);
+
+      if (wait === false) {
+        return Response.json({ success: true, message: 'Command sent', messageId: request.message_id, status: 'pending' }, { status: 202 });
+      }
+
+      await request.done;
+      const httpStatus = request.status === 'timeout' ? 504 : request.status === 'error' ? 502 : 200;
+      return Response.json(commandResult(request), { status: httpStatus });
     } catch (error) {
       return Response.json({ success: false, error: error.message }, { status: 500 });
     }
   }
 
-  // WebSocket handling
+  // Command status lookup - for callers that sent with { wait: false } or timed out
+  if (url.pathname.startsWith('/command/') && req.method === 'GET') {
+    const request = pendingRequests.get(url.pathname.split('/')[2]);
+    if (!request) {
+      return Response.json({ success: false, error: 'Unknown messageId' }, { status: 404 });
+    }
+    return Response.json(commandResult(request));
+  }
+
+  return new Response('Expected WebSocket', { status: 426 });
+});
+
+// Charger connections: every WebSocket upgrade ends up here, whatever its path. Stations authenticate
+// with their own credentials (authorizeStation), never with dashboard or API ones.
+async function acceptStationConnection(req, url) {
   const pathParts = url.pathname.split('/');
   const stationId = pathParts[pathParts.length - 1];
 
   if (!stationId || stationId === 'ocpp16') {
     return new Response('Station ID required', { status: 400 });
   }
+  if (!req.headers.get('sec-websocket-key')) {
+    return new Response('Invalid WebSocket upgrade', { status: 400 });
+  }
+
+  const rejection = await authorizeStation(req, url, stationId);
+  if (rejection) {
+    addLog(`🚫 Rejected connection of ${stationId}: ${rejection.reason}`);
+    return new Response(rejection.reason, {
+      status: rejection.status,
+      headers: rejection.status === 401 ? { 'WWW-Authenticate': 'Basic realm="OCPP"' } : {}
+    });
+  }
+
+  // Only one live connection per station id: the newest one wins. A charger that rebooted or lost its
+  // network without a close frame reconnects long before the old socket times out.
+  if (connectedDevices.get(stationId)?.socket) {
+    addLog(`🔁 ${stationId} connected again, replacing its previous connection`);
+  }
+
+  // Subprotocol negotiation (OCPP-J 3.1.2): pick one we speak from the client's offer. If the charger
+  // offers only protocols we don't support, complete the handshake without one and close right away.
+  const offered = (req.headers.get('sec-websocket-protocol') || '').split(',').map(p => p.trim()).filter(Boolean);
+  const protocol = offered.length ? SUPPORTED_SUBPROTOCOLS.find(p => offered.includes(p)) : DEFAULT_SUBPROTOCOL;
+  if (!offered.length) {
+    addLog(`⚠️ ${stationId} offered no OCPP subprotocol, assuming ${protocol}`);
+  }
+
+  const { socket, response } = Deno.upgradeWebSocket(req, {
+    idleTimeout: WS_IDLE_TIMEOUT_S,
+    ...(protocol && offered.length ? { protocol } : {})
+  });
 
-  if (req.headers.get('upgrade') !== 'websocket') {
-    return new Response('Expected WebSocket', { status: 426 });
+  if (!protocol) {
+    addLog(`🚫 Rejected ${stationId}: unsupported subprotocol(s) ${offered.join(', ')}`);
+    socket.onopen = () => socket.close(1002, 'Unsupported subprotocol');
+    return response;
   }
 
-  const { socket, response } = Deno.upgradeWebSocket(req);
+  let bootedAt = null; // BootNotification on this connection, see resumeStationSessions
 
   socket.onopen = () => {
+    // Keep BootNotification metadata from a previous connection (or a previous server run)
+    const known = connectedDevices.get(stationId);
+    if (known?.socket && known.socket !== socket) {
+      try {
+        known.socket.close(1000, 'Replaced by a newer connection');
+      } catch (_error) { /* already closed */ }
+      recordConnectionEvent(stationId, 'disconnected', {
+        duration_s: Math.round((Date.now() - new Date(known.connected_at)) / 1000),
+        detail: 'Replaced by a newer connection'
+      });
+      // Answers to CALLs sent on the old socket will not come in on this one
+      for (const [messageId, request] of pendingRequests.entries()) {
+        if (request.station_id === stationId && request.status === 'pending') {
+          finishCall(messageId, 'error', { error: { code: 'Disconnected', description: 'Station reconnected before answering' } });
+        }
+      }
+    }
+    const lastDisconnect = connectionHistory.get(stationId)?.findLast(e => e.event === 'disconnected');
     connectedDevices.set(stationId, {
+      vendor: 'Unknown',
+      model: 'Unknown',
+      firmware: 'Unknown',
+      ...known,
       station_id: stationId,
       socket: socket,
+      ocpp_protocol: protocol,
       connected_at: new Date().toISOString(),
-      status: 'online',
-      vendor: 'Unknown',
-      model: 'Unknown',
-      firmware: 'Unknown'
+      status: 'online'
+    });
+    deviceLastSeen.set(stationId, Date.now());
+    recordConnectionEvent(stationId, lastDisconnect ? 'reconnected' : 'connected', {
+      duration_s: lastDisconnect ? Math.round((Date.now() - new Date(lastDisconnect.at)) / 1000) : null,
+      detail: protocol
     });
-    deviceLastHeartbeat.set(stationId, Date.now());
     addLog(`✅ Connected: ${stationId}`);
+    saveState();
+    emitDeviceEvent(stationId, 'connected');
+  };
+
+  const sendCallError = (messageId, code, description, details = {}) => {
+    const errorCode = protocol === 'ocpp2.0.1' ? OCPP201_ERROR_CODES[code] || code : code;
+    socket.send(JSON.stringify([CALLERROR, messageId, errorCode, description.slice(0, 255), details]));
   };
 
   socket.onmessage = async (event) => {
+    recordActivity(stationId);
+    let frame;
+    try {
+      frame = parseOcppFrame(event.data, protocol);
+    } catch (error) {
+      addLog(`⚠️ ${stationId} sent an invalid message: ${error.code} - ${error.message}`);
+      // Never answer a CALLRESULT/CALLERROR with an error; "-1" when the UniqueId could not be read
+      if (!error.details?.messageType) {
+        sendCallError(error.details?.messageId || '-1', error.code, error.message, error.details?.path ? { path: error.details.path } : {});
+      }
+      return;
+    }
+
+    const { messageType, messageId, action, payload } = frame;
     try {
-      const message = JSON.parse(event.data);
-      const [messageType, messageId, action, payload] = message;
+      if (messageType === CALLRESULT) {
+        handleCallResult(stationId, messageId, payload);
+        return;
+      }
+
+      if (messageType === CALLERROR) {
+        handleCallError(stationId, messageId, frame.errorCode, frame.errorDescription, frame.errorDetails);
+        return;
+      }
+
+      addLog(`📨 From ${stationId}: ${action}`);
+
+      if (messageType === CALL) {
+        if (action === 'BootNotification') bootedAt = new Date().toISOString();
+        else resumeStationSessions(stationId, bootedAt);
+      }
 
-      addLog(`📨 From ${stationId}: ${action || 'Response'}`);
+      if (messageType === CALL && protocol === 'ocpp2.0.1') {
+        socket.send(JSON.stringify([CALLRESULT, messageId, await handleOcpp201Call(stationId, action, payload)]));
+        return;
+      }
 
       if (messageType === CALL) {
         let response;
 
         switch (action) {
           case 'BootNotification':
+            // A HeartbeatInterval set through configuration must survive the reboot
             response = {
               status: 'Accepted',
               currentTime: new Date().toISOString(),
-              interval: 300
+              interval: configuredHeartbeatInterval(connectedDevices.get(stationId)) || HEARTBEAT_INTERVAL_S
             };
-            const device = connectedDevices.get(stationId);
-            if (device) {
-              device.vendor = payload.chargePointVendor || 'Unknown';
-              device.model = payload.chargePointModel || 'Unknown';
-              device.firmware = payload.firmwareVersion || 'Unknown';
-              device.status = 'online';
-            }
-            deviceLastHeartbeat.set(stationId, Date.now());
-            await callBridge('registerStation', {
-              station_id: stationId,
-              name: `Station ${stationId}`,
-              location: 'Auto-registered',
-              status: 'available'
+            recordBoot(stationId, {
+              vendor: payload.chargePointVendor || 'Unknown',
+              model: payload.chargePointModel || 'Unknown',
+              firmware: payload.firmwareVersion || 'Unknown',
+              serial_number: payload.chargePointSerialNumber || payload.chargeBoxSerialNumber || null,
+              iccid: payload.iccid || null,
+              meter_type: payload.meterType || null,
+              heartbeat_interval: response.interval
             });
             break;
 
           case 'Heartbeat':
             response = { currentTime: new Date().toISOString() };
-            deviceLastHeartbeat.set(stationId, Date.now());
-            const dev = connectedDevices.get(stationId);
-            if (dev) dev.status = 'online';
-            await callBridge('updateStation', {
-              station_id: stationId,
-              updates: { last_heartbeat: new Date().toISOString() }
-            });
+            recordHeartbeat(stationId);
             break;
 
           case 'StatusNotification':
             response = {};
-            const statusMap = {
-              'Available': 'available',
-              'Charging': 'charging',
-              'Faulted': 'error',
-              'Unavailable': 'offline'
-            };
-            await callBridge('updateStation', {
-              station_id: stationId,
-              updates: { status: statusMap[payload.status] || 'offline' }
-            });
+            const statusDevice = connectedDevices.get(stationId);
+            if (statusDevice) {
+              const connector = applyStatusNotification(statusDevice, payload);
+              resumeConnectorSessions(stationId, connector);
+              const fault = connector.error_code !== 'NoError' ? ` (${connector.error_code}${connector.info ? `: ${connector.info}` : ''})` : '';
+              addLog(`🔌 ${stationId} connector ${connector.connector_id}: ${connector.status}${fault}`);
+              saveState();
+              emitDeviceEvent(stationId, 'connector', connector.connector_id);
+            }
+            publishEvent('station.updated', stationId, { status: BRIDGE_STATION_STATUS[payload.status] || 'offline' });
+            break;
+
+          case 'Authorize':
+            response = { idTagInfo: getIdTagInfo(payload.idTag) };
+            addLog(`🔑 Authorize ${payload.idTag} on ${stationId}: ${response.idTagInfo.status}`);
             break;
 
           case 'StartTransaction':
-            const txId = Date.now();
-            response = { transactionId: txId, idTagInfo: { status: 'Accepted' } };
+            // Never reuse an id a running session (of any station) already holds
+            let txId = Date.now();
+            while (activeSessions.has(txId.toString())) txId++;
+            const startTagInfo = getIdTagInfo(payload.idTag);
+            response = { transactionId: txId, idTagInfo: startTagInfo };
+            if (startTagInfo.status !== 'Accepted') {
+              addLog(`🚫 StartTransaction with ${startTagInfo.status} idTag ${payload.idTag} on Port ${payload.connectorId}`);
+            }
             activeSessions.set(txId.toString(), {
               station_id: stationId,
               connector_id: payload.connectorId,
+              id_tag: payload.idTag,
+              parent_id_tag: parentIdTagOf(payload.idTag),
+              reservation_id: claimReservation(stationId, payload.connectorId, payload.reservationId, payload.idTag, txId.toString()),
               start_time: new Date().toISOString(),
+              meter_start_wh: payload.meterStart ?? null,
+              last_register_wh: payload.meterStart ?? null,
+              energy_wh: 0,
               energy_kwh: 0,
               current_power_w: 0
             });
-            await callBridge('createSession', {
-              station_id: stationId,
-              start_time: new Date().toISOString(),
-              status: 'active',
-              transaction_id: txId.toString()
+            saveState();
+            emitSessionEvent('session_started', txId.toString(), activeSessions.get(txId.toString()));
+            publishEvent('session.started', stationId, {
+              transaction_id: txId.toString(),
+              connector_id: payload.connectorId,
+              id_tag: payload.idTag,
+              start_time: activeSessions.get(txId.toString()).start_time,
+              status: 'active'
             });
             break;
 
           case 'StopTransaction':
-            response = { idTagInfo: { status: 'Accepted' } };
+            response = payload.idTag ? { idTagInfo: getIdTagInfo(payload.idTag) } : {};
             const session = activeSessions.get(payload.transactionId?.toString());
-            if (session) {
-              if (payload.meterStop) {
-                session.energy_kwh = (payload.meterStop / 1000).toFixed(5);
+            if (session && session.station_id === stationId) {
+              resumeSession(payload.transactionId.toString(), session);
+              // Auto-recovered sessions learn their idTag here; a different card ending the session is kept separately
+              if (payload.idTag && !session.id_tag) {
+                session.id_tag = payload.idTag;
+                session.parent_id_tag = parentIdTagOf(payload.idTag);
+              } else if (payload.idTag && payload.idTag !== session.id_tag) {
+                session.stop_id_tag = payload.idTag;
               }
-              session.end_time = new Date().toISOString();
-              session.duration_minutes = Math.floor((new Date(session.end_time) - new Date(session.start_time)) / 60000);
-              session.status = 'completed';
-              
-              completedSessions.unshift({
-                ...session,
-                transaction_id: payload.transactionId?.toString()
-              });
-              
-              addLog(`✅ Session completed: Port ${session.connector_id}, ${session.energy_kwh}kWh, ${session.duration_minutes}m`);
-              saveSessions(); // Save to disk
-              
-              const portKey = `${stationId}-${session.connector_id}`;
-              portLastPowerCheck.delete(portKey);
-              
-              activeSessions.delete(payload.transactionId?.toString());
+              // Transaction.End (and other) readings the charger attached to the stop
+              if (Array.isArray(payload.transactionData)) {
+                storeMeterPoints(payload.transactionId.toString(), applyMeterValues(session, parseMeterValues(payload.transactionData)));
+              }
+              if (typeof payload.meterStop === 'number') {
+                applyEnergyRegister(session, payload.meterStop, payload.timestamp);
+                session.meter_stop_wh = payload.meterStop;
+              }
+              completeSession(payload.transactionId.toString(), session, payload.reason || 'Local');
+              addLog(`✅ Session completed: Port ${session.connector_id}, ${session.energy_kwh.toFixed(3)}kWh, ${session.duration_minutes}m`);
               
-              await callBridge('updateSession', {
-                station_id: stationId,
-                updates: { 
-                  status: 'completed', 
-                  end_time: session.end_time,
-                  energy_delivered: session.energy_kwh || 0,
-                  duration_minutes: session.duration_minutes
-                }
-              });
+              publishSessionCompleted(stationId, payload.transactionId.toString(), session);
             }
             break;
 
@@ -1120,14 +6824,21 @@ const { data: sessions } = useQuery({
 
             addLog(`📊 MeterValues from Port ${connectorId} (TxID: ${transactionId})`);
 
-            let sessionFound = null;
-            for (const [key, session] of activeSessions.entries()) {
-              if (session.connector_id === connectorId || key === transactionId) {
-                sessionFound = session;
-                break;
+            // Match by transactionId first, then by this station's connector
+            let sessionFound = transactionId && activeSessions.get(transactionId)?.station_id === stationId ? activeSessions.get(transactionId) : null;
+            let sessionTxId = sessionFound ? transactionId : null;
+            if (!sessionFound) {
+              for (const [key, session] of activeSessions.entries()) {
+                if (session.station_id === stationId && session.connector_id === connectorId) {
+                  sessionFound = session;
+                  sessionTxId = key;
+                  break;
+                }
               }
             }
 
+            if (sessionFound) resumeSession(sessionTxId, sessionFound);
+
             // AUTO-RECOVER: If no session exists but device is sending data, create session
             if (!sessionFound && payload.meterValue) {
               const autoTxId = `auto-${Date.now()}`;
@@ -1135,6 +6846,9 @@ const { data: sessions } = useQuery({
                 station_id: stationId,
                 connector_id: connectorId,
                 start_time: new Date().toISOString(),
+                meter_start_wh: null,
+                last_register_wh: null,
+                energy_wh: 0,
                 energy_kwh: 0,
                 current_power_w: 0,
                 voltage_v: 0,
@@ -1142,89 +6856,84 @@ const { data: sessions } = useQuery({
                 temperature_c: 0
               };
               activeSessions.set(autoTxId, sessionFound);
+              sessionTxId = autoTxId;
               addLog(`🔄 AUTO-RECOVER: Created session for Port ${connectorId} (device was already charging)`);
+              emitSessionEvent('session_started', autoTxId, sessionFound);
             }
 
             if (sessionFound && payload.meterValue) {
-              const { power, energy, voltage, current, temperature } = parseMeterValues(payload.meterValue);
-
-              sessionFound.current_power_w = power;
-              sessionFound.energy_kwh = energy;
-              sessionFound.voltage_v = voltage;
-              sessionFound.current_a = current;
-              sessionFound.temperature_c = temperature;
-
-              addLog(`⚡ Port ${connectorId}: ${power}W | ${energy.toFixed(5)}kWh | ${voltage}V | ${current}A | ${temperature}°C`);
-
-              if (BRIDGE_URL) {
-                try {
-                  await fetch(BRIDGE_URL, {
-                    method: 'POST',
-                    headers: {
-                      'Content-Type': 'application/json',
-                      'x-bridge-secret': BRIDGE_SECRET || ''
-                    },
-                    body: JSON.stringify({
-                      station_id: stationId,
-                      connector_id: connectorId,
-                      energy: energy,
-                      power: power
-                    })
-                  });
-                  console.log(`✅ Bridge: Port ${connectorId} → ${power}W to Base44`);
-                } catch (error) {
-                  console.error('Bridge error:', error);
-                }
-              }
+              storeMeterPoints(sessionTxId, applyMeterValues(sessionFound, parseMeterValues(payload.meterValue)));
+              saveState();
+              emitSessionEvent('meter', sessionTxId, sessionFound);
+
+              const power = sessionFound.current_power_w || 0;
+              const soc = sessionFound.soc_percent !== undefined ? ` | SoC ${sessionFound.soc_percent}%` : '';
+              addLog(`⚡ Port ${connectorId}: ${power}W | ${sessionFound.energy_kwh.toFixed(5)}kWh | ${sessionFound.voltage_v || 0}V | ${sessionFound.current_a || 0}A | ${sessionFound.temperature_c || 0}°C${soc}`);
+
+              pushMeterToBridge(stationId, connectorId, sessionTxId, sessionFound);
             }
             break;
 
-          default:
+          case 'DataTransfer':
+            // No vendor extensions are implemented
+            response = { status: 'UnknownVendorId' };
+            break;
+
+          case 'DiagnosticsStatusNotification':
+            recordDiagnosticsStatus(stationId, payload.status);
+            response = {};
+            break;
+
+          case 'FirmwareStatusNotification':
+            recordFirmwareStatus(stationId, payload.status);
             response = {};
+            break;
         }
 
         socket.send(JSON.stringify([CALLRESULT, messageId, response]));
       }
     } catch (error) {
       console.error('Error:', error);
+      if (messageType === CALL) {
+        sendCallError(messageId, 'InternalError', `Failed to process ${action}: ${error.message}`);
+      }
     }
   };
 
-  socket.onclose = () => {
-    // Mark device as offline
+  socket.onclose = (event) => {
     const device = connectedDevices.get(stationId);
+
+    // A newer connection from the same station has taken over - leave its sessions alone
+    if (device && device.socket && device.socket !== socket) {
+      addLog(`🔁 Stale connection of ${stationId} closed (replaced by a newer one)`);
+      return;
+    }
+
+    // Mark device as offline
     if (device) {
       device.status = 'offline';
+      device.socket = null;
+      device.disconnected_at = new Date().toISOString();
+      recordConnectionEvent(stationId, 'disconnected', {
+        duration_s: Math.round((Date.now() - new Date(device.connected_at)) / 1000),
+        detail: `${event.code}${event.reason ? ` ${event.reason}` : ''}`
+      });
+      saveState();
+      emitDeviceEvent(stationId, 'disconnected');
     }
-    deviceLastHeartbeat.delete(stationId);
-    
-    // Auto-complete any active sessions from this device
-    for (const [txId, session] of activeSessions.entries()) {
-      if (session.station_id === stationId) {
-        session.end_time = new Date().toISOString();
-        session.duration_minutes = Math.floor((new Date(session.end_time) - new Date(session.start_time)) / 60000);
-        session.status = 'completed';
-
-        completedSessions.unshift({ ...session, transaction_id: txId });
-        activeSessions.delete(txId);
+    deviceLastSeen.delete(stationId);
 
-        const portKey = `${stationId}-${session.connector_id}`;
-        portLastPowerCheck.delete(portKey);
-
-        addLog(`🔄 Auto-completed Port ${session.connector_id} (device disconnected)`);
-        saveSessions(); // Save to disk
-
-        callBridge('updateSession', {
-          station_id: stationId,
-          updates: { 
-            status: 'completed', 
-            end_time: session.end_time,
-            energy_delivered: session.energy_kwh || 0,
-            duration_minutes: session.duration_minutes
-          }
-        });
+    // Nobody is going to answer outstanding CALLs on a closed socket
+    for (const [messageId, request] of pendingRequests.entries()) {
+      if (request.station_id === stationId && request.status === 'pending') {
+        finishCall(messageId, 'error', { error: { code: 'Disconnected', description: 'Station disconnected before answering' } });
       }
     }
+    
+    // The charger keeps its transactions across a reconnect, so hold them instead of completing them
+    for (const [txId, session] of activeSessions.entries()) {
+      if (session.station_id === stationId) suspendSession(txId, session, 'Disconnected');
+    }
 
     addLog(`❌ Disconnected: ${stationId} - Device OFFLINE`);
   };
@@ -1234,4 +6943,4 @@ const { data: sessions } = useQuery({
   };
 
   return response;
-});
\ No newline at end of file
+}
\ No newline at end of file